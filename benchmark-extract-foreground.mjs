@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Time extractForeground() on one thread and on several
+ *
+ * Renders the full icon and the background of each example icon (or of the
+ * .icon folders given) with the JavaScript renderer, extracts the foreground
+ * on one thread and on several, and prints the time each took, whether the
+ * two results are identical, and how far the foreground composited back over
+ * the background is from the full render.
+ *
+ * Usage: node benchmark-extract-foreground.mjs [--renderer <name>] [--size <px>] [--threads <n>] [icon-folder...]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir, availableParallelism } from 'os';
+import { parseArgs } from 'util';
+import sharp from 'sharp';
+
+import { createRenderer } from './lib/renderers.mjs';
+import { findIconBundles } from './lib/batch.mjs';
+import { extractForeground } from './lib/image-processor.mjs';
+
+async function readPixels(imagePath) {
+  return sharp(imagePath).ensureAlpha().raw().toBuffer();
+}
+
+async function time(fn) {
+  const started = process.hrtime.bigint();
+  await fn();
+  return Number(process.hrtime.bigint() - started) / 1e6;
+}
+
+/**
+ * Largest channel difference between the full render and the foreground composited over the background,
+ * over the pixels of the foreground (transparent ones are background within the threshold)
+ */
+function recompositionError(full, background, foreground) {
+  let max = 0;
+  for (let i = 0; i < full.length; i += 4) {
+    if (foreground[i + 3] === 0) continue;
+    const alpha = foreground[i + 3] / 255;
+    for (let channel = 0; channel < 3; channel++) {
+      const recomposed = alpha * foreground[i + channel] + (1 - alpha) * background[i + channel];
+      max = Math.max(max, Math.abs(recomposed - full[i + channel]));
+    }
+  }
+  return max;
+}
+
+async function main() {
+  const { values: options, positionals: args } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      'renderer': { type: 'string', default: 'js' },
+      'size': { type: 'string', default: '1024' },
+      'threads': { type: 'string', default: String(Math.max(2, availableParallelism())) }
+    }
+  });
+  const size = Number(options.size);
+  const threads = Number(options.threads);
+  const renderer = createRenderer(options.renderer);
+  await renderer.verify();
+
+  const iconFolders = await findIconBundles(args.length > 0 ? args : ['example-icon-composer-icons']);
+  const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'extract-benchmark-'));
+  const rows = [];
+
+  try {
+    for (const iconFolder of iconFolders) {
+      const name = path.basename(iconFolder, '.icon');
+      const fullPath = path.join(tempDir, `${name}-full.png`);
+      const backgroundPath = path.join(tempDir, `${name}-background.png`);
+      const singlePath = path.join(tempDir, `${name}-single.png`);
+      const threadedPath = path.join(tempDir, `${name}-threaded.png`);
+      const exportOptions = { width: size, height: size, platform: 'iOS', rendition: 'Default' };
+
+      try {
+        await renderer.exportFull(iconFolder, fullPath, exportOptions);
+        await renderer.exportBackground(iconFolder, backgroundPath, exportOptions);
+      } catch (error) {
+        console.error(`Skipping ${name}: ${error.message}`);
+        continue;
+      }
+
+      const singleMs = await time(() => extractForeground(fullPath, backgroundPath, singlePath, { threads: 1 }));
+      const threadedMs = await time(() => extractForeground(fullPath, backgroundPath, threadedPath, { threads }));
+
+      const [full, background, single, threaded] = await Promise.all(
+        [fullPath, backgroundPath, singlePath, threadedPath].map(readPixels)
+      );
+
+      rows.push([
+        name,
+        `${singleMs.toFixed(0)}ms`,
+        `${threadedMs.toFixed(0)}ms`,
+        single.equals(threaded) ? 'yes' : 'no',
+        recompositionError(full, background, single).toFixed(2)
+      ]);
+    }
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  const header = ['Icon', '1 thread', `${threads} threads`, 'Identical', 'Error'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log(`Foreground extraction at ${size}x${size} (${options.renderer} renderer)\n`);
+  console.log(formatRow(header));
+  console.log(formatRow(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => console.log(formatRow(row)));
+  console.log('\nError: largest channel difference (0-255) between the full render and the foreground composited over the');
+  console.log('background, over the pixels of the foreground.');
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -1,188 +1,509 @@
 #!/usr/bin/env node
 
 /**
- * Convert Apple Icon Composer .icon files to Android Adaptive Icons
+ * Command-line interface for converting Apple Icon Composer .icon files to
+ * Android Adaptive Icons (see convertIcon() in lib/convert.mjs)
  * 
- * This tool:
- * 1. Exports full icon (background + foreground) using ictool
- * 2. Exports background only (by removing groups) using ictool
- * 3. Extracts foreground by subtracting background from full image
- * 4. Generates Android Adaptive Icon resource structure (XML + PNGs)
+ * Renderers (see lib/renderers.mjs):
+ * - ictool: Xcode's Icon Composer command-line tool (default when installed)
+ * - js: Built-in JavaScript renderer (default when ictool isn't installed)
+ * - prerendered: PNGs already exported from Icon Composer on a Mac
  * 
- * Usage: node convert-icon.mjs <icon-folder> [output-dir]
+ * Usage: node convert-icon.mjs [--renderer <name>] [--prerendered-dir <dir>] <icon-folder> [output-dir]
+ *        node convert-icon.mjs --watch <icon-folder> [output-dir]
+ *        node convert-icon.mjs --preview <sheet.png|sheet.html> [--guides] <icon-folder|res-dir>
+ *        node convert-icon.mjs --lint <report.json> <icon-folder|directory>...
+ *        node convert-icon.mjs --install <module> [--dry-run] [--force] <icon-folder>
+ *        node convert-icon.mjs --config <icons.json>
+ *        node convert-icon.mjs [--output <dir>] [--concurrency <n>] <icon-folder|directory>...
+ *        node convert-icon.mjs cache inspect|prune [--cache-dir <dir>] [--max-age <days>] [--max-size <MB>]
+ *        node convert-icon.mjs verify [--diff <image.png>] [--min-psnr <dB>] [--min-ssim <n>]
+ *          [--foreground-scaling <s>] [--monochrome-scaling <s>] <icon-folder> [output-dir|res-dir]
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { tmpdir } from 'os';
+import { parseArgs } from 'util';
 
-import { readIconJson, createBackgroundOnlyJson, writeIconJson } from './lib/icon-utils.mjs';
-import { exportImage, verifyIctoolExists } from './lib/ictool-wrapper.mjs';
-import { extractForeground, prepareForAndroidAdaptiveIcon } from './lib/image-processor.mjs';
-import { createAndroidResourceStructure } from './lib/android-resources.mjs';
+import { convertIcon } from './lib/convert.mjs';
+import { installIcon } from './lib/android-project.mjs';
+import { convertFromConfig } from './lib/config.mjs';
+import { watchIcon } from './lib/watch.mjs';
+import { createPreviewSheet } from './lib/preview.mjs';
+import { findIconBundles, isIconBundle, convertIcons, formatBatchSummary, DEFAULT_CONCURRENCY } from './lib/batch.mjs';
+import { RENDERER_NAMES } from './lib/renderers.mjs';
+import { DENSITIES } from './lib/android-resources.mjs';
+import { inspectCache, pruneCache, DEFAULT_CACHE_DIR, DEFAULT_PRUNE_AGE_DAYS } from './lib/cache.mjs';
+import { BACKGROUND_FIT_DEFAULTS } from './lib/background-fit.mjs';
+import { verifyIcon, VERIFY_DEFAULTS } from './lib/verify.mjs';
+import { GLASS_EFFECTS } from './lib/icon-utils.mjs';
 
-const ICON_SIZE = 1024;
-const PLATFORM = 'iOS';
-const RENDITION = 'Default'; // Light appearance
-const MONOCHROME_RENDITION = 'ClearLight'; // Monochrome appearance
+/**
+ * Print the files written, grouped by directory
+ */
+function printManifest({ outputDir, files, vector, diagnostics, cache, tempDir }) {
+  console.log('Conversion complete!');
+  console.log(`\nAndroid Adaptive Icon resources:`);
+
+  const directories = new Map();
+  for (const file of files) {
+    const directory = path.dirname(file);
+    if (!directories.has(directory)) directories.set(directory, []);
+    directories.get(directory).push(path.basename(file));
+  }
+
+  for (const [directory, names] of [...directories].sort(([a], [b]) => a.localeCompare(b))) {
+    console.log(`  ${path.relative(outputDir, directory) || '.'}/`);
+    names.sort().forEach((name, index) => {
+      console.log(`    ${index === names.length - 1 ? '└──' : '├──'} ${name}`);
+    });
+  }
+
+  if (vector?.fallbacks.length > 0) {
+    console.log(`\n${vector.fallbacks.length} layer(s) kept as PNG instead of vector drawables`);
+  }
+  if (diagnostics) {
+    console.log(`\nExtraction diagnostics written to: ${diagnostics.dir}`);
+  }
+  if (cache) {
+    console.log(`\nRender cache: ${cache.hits} hit(s), ${cache.stores} new entr${cache.stores === 1 ? 'y' : 'ies'} in ${cache.dir}`);
+  }
+  if (tempDir) {
+    console.log(`\nIntermediate renders kept in: ${tempDir}`);
+  }
+}
 
 /**
- * Main conversion function
+ * Write the content checks of each converted icon as JSON, and fail the run
+ * (exit code 2) if any of them has warnings
  */
-async function convertIcon(iconFolder, outputDir) {
-  console.log(`Converting icon from: ${iconFolder}`);
-  console.log(`Output directory: ${outputDir}\n`);
+async function writeLintReport(reportPath, manifests) {
+  const icons = manifests.map(({ iconFolder, lint }) => ({ icon: iconFolder, ...lint }));
+  const passed = icons.every(icon => icon.passed);
+  const report = icons.length === 1 ? icons[0] : { passed, icons };
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf-8');
 
-  // Ensure output directory exists
-  await fs.mkdir(outputDir, { recursive: true });
+  const warnings = icons.reduce((count, icon) => count + icon.warnings.length, 0);
+  console.log(`\nLint report written to: ${reportPath} (${warnings} warning(s))`);
+  if (!passed) {
+    process.exitCode = 2;
+  }
+}
 
-  // Read original icon.json
-  const originalIconData = await readIconJson(iconFolder);
-  
-  // Create temporary directory for modified icon.json
-  const tempDir = await fs.mkdir(path.join(tmpdir(), `icon-convert-${Date.now()}`), { recursive: true });
-  console.log({tempDir});
-  const tempIconFolder = path.join(tempDir, path.basename(iconFolder));
-  await fs.mkdir(tempIconFolder, { recursive: true });
-  
-  // Copy Assets folder to temp (ictool needs it)
-  await fs.cp(
-    path.join(iconFolder, 'Assets'),
-    path.join(tempIconFolder, 'Assets'),
-    { recursive: true }
-  );
-
-  // Temporary paths for intermediate images
-  const tempFullPath = path.join(tempDir, 'full.png');
-  const tempBackgroundPath = path.join(tempDir, 'background.png');
-  const tempForegroundPath = path.join(tempDir, 'foreground.png');
+/**
+ * Run `cache inspect` (entries by icon) or `cache prune`
+ */
+async function runCacheCommand(command, dir, options) {
+  const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 
-  try {
-    // Step 1: Export full icon (background + foreground)
-    console.log('Step 1/6: Exporting full icon...');
-    await exportImage(iconFolder, tempFullPath, {
-      width: ICON_SIZE,
-      height: ICON_SIZE,
-      platform: PLATFORM,
-      rendition: RENDITION
-    });
-    console.log('  ✓ Full icon exported\n');
-
-    // Step 2: Create background-only version
-    console.log('Step 2/6: Exporting background only...');
-    const backgroundOnlyData = createBackgroundOnlyJson(originalIconData);
-    await writeIconJson(tempIconFolder, backgroundOnlyData);
-    
-    await exportImage(tempIconFolder, tempBackgroundPath, {
-      width: ICON_SIZE,
-      height: ICON_SIZE,
-      platform: PLATFORM,
-      rendition: RENDITION
-    });
-    console.log('  ✓ Background exported\n');
-
-    // Step 3: Extract foreground by subtracting background from full
-    console.log('Step 3/6: Extracting foreground...');
-    await extractForeground(tempFullPath, tempBackgroundPath, tempForegroundPath);
-    console.log('  ✓ Foreground extracted\n');
-
-    // Step 4: Export and extract monochrome foreground
-    console.log('Step 4/6: Exporting monochrome icon...');
-    const tempMonochromeFullPath = path.join(tempDir, 'monochrome-full.png');
-    const tempMonochromeBackgroundPath = path.join(tempDir, 'monochrome-background.png');
-    const tempMonochromeForegroundPath = path.join(tempDir, 'monochrome-foreground.png');
-    
-    await exportImage(iconFolder, tempMonochromeFullPath, {
-      width: ICON_SIZE,
-      height: ICON_SIZE,
-      platform: PLATFORM,
-      rendition: MONOCHROME_RENDITION
-    });
-    
-    await exportImage(tempIconFolder, tempMonochromeBackgroundPath, {
-      width: ICON_SIZE,
-      height: ICON_SIZE,
-      platform: PLATFORM,
-      rendition: MONOCHROME_RENDITION
-    });
-    
-    await extractForeground(tempMonochromeFullPath, tempMonochromeBackgroundPath, tempMonochromeForegroundPath);
-    console.log('  ✓ Monochrome foreground extracted\n');
-
-    // Step 5: Prepare images for Android Adaptive Icon format
-    // Scale to 432x432 with 72px transparent padding around 264x264 safe area
-    console.log('Step 5/6: Preparing images for Android Adaptive Icon format...');
-    const tempFullPaddedPath = path.join(tempDir, 'full-padded.png');
-    const tempBackgroundPaddedPath = path.join(tempDir, 'background-padded.png');
-    const tempForegroundPaddedPath = path.join(tempDir, 'foreground-padded.png');
-    const tempMonochromeForegroundPaddedPath = path.join(tempDir, 'monochrome-foreground-padded.png');
-    
-    await prepareForAndroidAdaptiveIcon(tempFullPath, tempFullPaddedPath);
-    await prepareForAndroidAdaptiveIcon(tempBackgroundPath, tempBackgroundPaddedPath);
-    await prepareForAndroidAdaptiveIcon(tempForegroundPath, tempForegroundPaddedPath);
-    await prepareForAndroidAdaptiveIcon(tempMonochromeForegroundPath, tempMonochromeForegroundPaddedPath);
-    console.log('  ✓ Images prepared (432x432 with 72px padding)\n');
-
-    // Step 6: Generate Android Adaptive Icon resource structure
-    console.log('Step 6/6: Generating Android resources...');
-    const resources = await createAndroidResourceStructure(
-      outputDir,
-      originalIconData,
-      tempFullPaddedPath,
-      tempBackgroundPath, // Use unpadded background for color sampling
-      tempForegroundPaddedPath,
-      tempMonochromeForegroundPaddedPath
-    );
-    console.log('  ✓ Android resources created\n');
-
-    console.log('Conversion complete!');
-    console.log(`\nAndroid Adaptive Icon resources:`);
-    console.log(`  ${resources.anydpiDir}/`);
-    console.log(`    └── ic_launcher.xml (API 26+)`);
-    console.log(`  ${resources.drawableDir}/`);
-    console.log(`    └── ic_launcher_background.xml (gradient drawable)`);
-    console.log(`  ${resources.mipmapDir}/`);
-    console.log(`    ├── ic_launcher.png (API 25 fallback)`);
-    console.log(`    ├── ic_launcher_foreground.png`);
-    console.log(`    └── ic_launcher_foreground_monochrome.png`);
-
-  } finally {
-    // Cleanup temporary directory
-    //await fs.rm(tempDir, { recursive: true, force: true });
+  if (command === 'inspect') {
+    const { entries, totalBytes } = await inspectCache(dir);
+    console.log(`Render cache: ${dir}`);
+    console.log(`${entries.length} entries, ${megabytes(totalBytes)}`);
+
+    const icons = new Map();
+    for (const entry of entries) {
+      const icon = icons.get(entry.icon) ?? { entries: 0, bytes: 0, lastUsed: entry.lastUsed };
+      icon.entries++;
+      icon.bytes += entry.bytes;
+      icons.set(entry.icon, icon);
+    }
+    for (const [name, icon] of icons) {
+      console.log(`  ${name ?? '(unknown)'}: ${icon.entries} entries, ${megabytes(icon.bytes)}, last used ${icon.lastUsed}`);
+    }
+    return;
+  }
+
+  const maxAgeDays = options['max-age'] !== undefined ? Number(options['max-age']) : DEFAULT_PRUNE_AGE_DAYS;
+  const maxBytes = options['max-size'] !== undefined ? Number(options['max-size']) * 1024 * 1024 : Infinity;
+  if (!(maxAgeDays >= 0) || !(maxBytes >= 0)) {
+    throw new Error('--max-age and --max-size must be non-negative numbers');
+  }
+  const result = await pruneCache(dir, { maxAgeDays, maxBytes });
+  console.log(`Removed ${result.removed} entries (${megabytes(result.freedBytes)}); ` +
+    `${result.remaining} entries (${megabytes(result.remainingBytes)}) left in ${dir}`);
+}
+
+/**
+ * Run `verify`: compare the converted icon with the Apple renders, and fail
+ * (exit code 2) below the thresholds
+ */
+async function runVerifyCommand([iconFolder, target], options) {
+  if (!iconFolder) {
+    throw new Error('verify takes an icon folder, and its output or res directory');
+  }
+  const iconName = path.basename(iconFolder, '.icon');
+  target = path.resolve(target ?? path.join(options.output || 'output', iconName));
+  // An output directory has the res directory inside it
+  const isResDir = await fs.access(path.join(target, 'mipmap-anydpi-v26')).then(() => true, () => false);
+  const resDir = isResDir ? target : path.join(target, 'res');
+
+  const thresholds = {};
+  for (const [flag, name] of [['min-psnr', 'minPsnr'], ['min-ssim', 'minSsim']]) {
+    const value = options[flag];
+    if (value === undefined) continue;
+    // Number('') is 0, which would pass anything
+    if (value.trim() === '' || Number.isNaN(Number(value))) {
+      throw new Error(`--${flag} must be a number (got '${value}')`);
+    }
+    thresholds[name] = Number(value);
+  }
+
+  const result = await verifyIcon(path.resolve(iconFolder), resDir, {
+    renderer: options.renderer,
+    prerenderedDir: options.prerenderedDir,
+    disableEffects: options.disableEffects,
+    foregroundScaling: options['foreground-scaling'],
+    monochromeScaling: options['monochrome-scaling'],
+    diffPath: path.resolve(options.diff ?? `verify-${iconName}.png`),
+    thresholds,
+    logger: console
+  });
+  console.log(`
+Diff image written to: ${result.diffPath}`);
+  if (!result.passed) {
+    console.log(`Below the thresholds (PSNR ${result.thresholds.minPsnr} dB, SSIM ${result.thresholds.minSsim})`);
+    process.exitCode = 2;
   }
 }
 
+/**
+ * Turn --disable-effects values ("specular,shadow" for every group, or
+ * "<group>:shadow" for one group, by number or name) into the disableEffects option
+ */
+function parseDisabledEffects(values) {
+  if (!values || values.length === 0) return null;
+  const effects = {};
+  for (const value of values) {
+    const separator = value.lastIndexOf(':');
+    const group = separator >= 0 ? value.slice(0, separator) : '*';
+    const names = value.slice(separator + 1).split(',').map(name => name.trim()).filter(Boolean);
+    effects[group] = [...(effects[group] ?? []), ...names];
+  }
+  return effects;
+}
+
 // CLI entry point
 async function main() {
-  const args = process.argv.slice(2);
+  const { values: options, positionals: args } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      'renderer': { type: 'string' },
+      'prerendered-dir': { type: 'string' },
+      'js-renderer': { type: 'boolean', default: false },
+      'densities': { type: 'string' },
+      'light-only': { type: 'boolean', default: false },
+      'monochrome': { type: 'string', default: 'clear' },
+      'matting': { type: 'string', default: 'difference' },
+      'foreground-scaling': { type: 'string', default: 'safe-zone' },
+      'monochrome-scaling': { type: 'string', default: 'safe-zone' },
+      'vector': { type: 'boolean', default: false },
+      'disable-effects': { type: 'string', multiple: true },
+      'background-tolerance': { type: 'string' },
+      'keep-temp': { type: 'boolean', default: false },
+      'diagnostics': { type: 'boolean', default: false },
+      'install': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'force': { type: 'boolean', default: false },
+      'config': { type: 'string' },
+      'output': { type: 'string' },
+      'concurrency': { type: 'string' },
+      'watch': { type: 'boolean', default: false },
+      'preview': { type: 'string' },
+      'guides': { type: 'boolean', default: false },
+      'lint': { type: 'string' },
+      'cache': { type: 'boolean', default: false },
+      'cache-dir': { type: 'string' },
+      'max-age': { type: 'string' },
+      'max-size': { type: 'string' },
+      'diff': { type: 'string' },
+      'min-psnr': { type: 'string' },
+      'min-ssim': { type: 'string' }
+    }
+  });
   
+  let renderer = options.renderer;
+  if (!renderer && options['js-renderer']) renderer = 'js';
+  const prerenderedDir = options['prerendered-dir'] ? path.resolve(options['prerendered-dir']) : null;
+  const cache = options['cache-dir'] ? path.resolve(options['cache-dir']) : options.cache;
+  const disableEffects = parseDisabledEffects(options['disable-effects']);
+  // Checked up front, so a bad value fails before a batch prints anything
+  if (options.concurrency !== undefined && !/^[1-9]\d*$/.test(options.concurrency.trim())) {
+    console.error(`Error: --concurrency must be a positive integer (got '${options.concurrency}')`);
+    process.exit(1);
+  }
+  const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : DEFAULT_CONCURRENCY;
+
+  if (args[0] === 'cache' && ['inspect', 'prune'].includes(args[1])) {
+    try {
+      await runCacheCommand(args[1], typeof cache === 'string' ? cache : DEFAULT_CACHE_DIR, options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args[0] === 'verify') {
+    try {
+      await runVerifyCommand(args.slice(1), { ...options, renderer, prerenderedDir, disableEffects });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (options.config) {
+    try {
+      // Renderer flags (and --disable-effects, --diagnostics and the cache) apply to every icon; everything else
+      // comes from the config file
+      const overrides = {};
+      if (renderer) overrides.renderer = renderer;
+      if (prerenderedDir) overrides.prerenderedDir = prerenderedDir;
+      if (disableEffects) overrides.disableEffects = disableEffects;
+      if (options.diagnostics) overrides.diagnostics = true;
+      if (cache) overrides.cache = cache;
+
+      const manifests = await convertFromConfig(path.resolve(options.config), { ...overrides, logger: console });
+      for (const manifest of manifests) {
+        printManifest(manifest);
+        console.log('');
+      }
+      if (options.lint) {
+        await writeLintReport(path.resolve(options.lint), manifests);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
   if (args.length === 0) {
-    console.error('Usage: node convert-icon.mjs <icon-folder> [output-dir]');
+    console.error('Usage: node convert-icon.mjs [options] <icon-folder> [output-dir]');
+    console.error('       node convert-icon.mjs [options] --watch <icon-folder> [output-dir]');
+    console.error('       node convert-icon.mjs [options] --preview <file> [--guides] <icon-folder|res-dir>');
+    console.error('       node convert-icon.mjs [options] --lint <report.json> <icon-folder|directory>...');
+    console.error('       node convert-icon.mjs [options] --install <module> [--dry-run] [--force] <icon-folder>');
+    console.error('       node convert-icon.mjs [--renderer <name>] --config <icons.json>');
+    console.error('       node convert-icon.mjs [options] [--output <dir>] <icon-folder|directory>...');
+    console.error('       node convert-icon.mjs cache inspect|prune [--cache-dir <dir>] [--max-age <days>] [--max-size <MB>]');
+    console.error('       node convert-icon.mjs [--renderer <name>] verify [--diff <image.png>] <icon-folder> [output-dir|res-dir]');
     console.error('');
-    console.error('Converts an Apple Icon Composer .icon file to Android Adaptive Icon format.');
+    console.error('Converts Apple Icon Composer .icon files to Android Adaptive Icon format.');
     console.error('');
     console.error('Arguments:');
     console.error('  icon-folder   Path to the .icon folder (containing icon.json and Assets/)');
-    console.error('  output-dir    Output directory (default: <icon-folder>/android)');
+    console.error('  output-dir    Output directory (default: output/<icon name>)');
+    console.error('  directory     Directory to search for .icon folders; with a directory or several');
+    console.error('                icon folders, each is converted into <output>/<icon name>');
+    console.error('');
+    console.error('Options:');
+    console.error(`  --renderer <name>        Renderer backend: ${RENDERER_NAMES.join(', ')}`);
+    console.error('                           (default: ictool if installed, otherwise js)');
+    console.error('  --prerendered-dir <dir>  Directory of PNGs exported from Icon Composer, containing');
+    console.error('                           Default.png, Default-background.png, ClearLight.png and');
+    console.error('                           ClearLight-background.png, plus Dark.png and');
+    console.error('                           Dark-background.png for the night-mode variants');
+    console.error('                           (implies --renderer prerendered)');
+    console.error('  --js-renderer            Shorthand for --renderer js');
+    console.error('  --light-only             Skip the night-mode (Dark rendition) variants');
+    console.error('  --monochrome <mode>      How to build the monochrome layer (default: clear):');
+    console.error('                           clear: extract it from ClearLight renders');
+    console.error('                           tinted: alpha mask from the tinted fills in icon.json');
+    console.error('  --matting <mode>         How foregrounds are separated from the background');
+    console.error('                           (default: difference):');
+    console.error('                           difference: unmix the full render from the background');
+    console.error('                           black-white: solve them from renders over solid black and');
+    console.error('                           white fills (prerendered: <Rendition>-black.png, -white.png)');
+    console.error('  --foreground-scaling <s> How the canvas is scaled into the foreground layer');
+    console.error('                           (default: safe-zone):');
+    console.error('                           safe-zone: the canvas fills the 66dp safe area');
+    console.error('                           full-bleed: the canvas fills the whole 108dp layer');
+    console.error('                           trim: the content\'s bounding box fits the safe circle');
+    console.error('                           <scale>[,<dx>,<dy>]: safe-zone scaled around the center,');
+    console.error('                           then moved by dx/dy dp (e.g., 1.2 or 1.1,0,-2)');
+    console.error('  --monochrome-scaling <s> The same for the monochrome layer (default: safe-zone)');
+    console.error('                           With verify, give the scalings the icon was converted with');
+    console.error('  --vector                 Write SVG layers as vector drawables instead of');
+    console.error('                           foreground PNGs (PNG for layers that can\'t be converted)');
+    console.error('  --disable-effects <list> Turn Liquid Glass effects off before rendering, for a flat');
+    console.error('                           icon: comma-separated effects or all, in every group, or');
+    console.error('                           in one with a <group>: prefix (number from 1, or name),');
+    console.error('                           e.g., all or 2:shadow,translucency; repeatable. Effects:');
+    console.error(`                           ${GLASS_EFFECTS.join(', ')}`);
+    console.error('  --background-tolerance <ΔE>');
+    console.error('                           How far the gradient background drawable may be from');
+    console.error('                           the background render (95th percentile CIE ΔE) before');
+    console.error(`                           the render is written as PNGs instead (default: ${BACKGROUND_FIT_DEFAULTS.maxDeltaE})`);
+    console.error('  --densities <list>       Comma-separated density buckets to write');
+    console.error(`                           (default: ${Object.keys(DENSITIES).join(',')})`);
+    console.error('  --keep-temp              Keep the intermediate renders and print their directory');
+    console.error('  --diagnostics            Write error, dropped-pixel and alpha maps of each');
+    console.error('                           foreground extraction, and a diagnostics.json summary,');
+    console.error('                           into <output>/diagnostics (with --config, into');
+    console.error('                           <module>/build/icon-diagnostics/<source set>-<name>)');
+    console.error('  --cache                  Keep renders and extracted foregrounds across runs, and');
+    console.error('                           skip them while icon.json and Assets/ are unchanged');
+    console.error('  --cache-dir <dir>        Use this cache directory (implies --cache; default:');
+    console.error(`                           ${DEFAULT_CACHE_DIR})`);
+    console.error('  --max-age <days>         With cache prune, remove entries unused for longer');
+    console.error(`                           (default: ${DEFAULT_PRUNE_AGE_DAYS}; 0 empties the cache)`);
+    console.error('  --max-size <MB>          With cache prune, then remove the least recently used');
+    console.error('                           entries until the cache is at most this size');
+    console.error('  --diff <file>            With verify, where to write the Apple render, the Android');
+    console.error('                           icon and their difference side by side');
+    console.error('                           (default: verify-<icon name>.png)');
+    console.error(`  --min-psnr <dB>          With verify, fail below this PSNR (default: ${VERIFY_DEFAULTS.minPsnr})`);
+    console.error(`  --min-ssim <n>           With verify, fail below this SSIM (default: ${VERIFY_DEFAULTS.minSsim})`);
+    console.error('  --install <module>       Install into an Android module (e.g., app) instead of an');
+    console.error('                           output directory, and set android:icon/android:roundIcon');
+    console.error('                           in its AndroidManifest.xml');
+    console.error('  --dry-run                With --install, show the changes without writing anything');
+    console.error('  --force                  With --install, overwrite changed files and remove');
+    console.error('                           conflicting launcher resources');
+    console.error('  --config <file>          Convert every icon listed in a JSON config file, each into');
+    console.error('                           its own res directory (e.g., one per build flavor)');
+    console.error('  --output <dir>           Parent directory of the per-icon output directories');
+    console.error('                           (default: output)');
+    console.error(`  --concurrency <n>        Icons to convert at once in a batch (default: ${DEFAULT_CONCURRENCY})`);
+    console.error('  --watch                  Keep running and convert again whenever icon.json or');
+    console.error('                           Assets/ change (stop with Ctrl+C)');
+    console.error('  --preview <file>         Also write a sheet of the icon under the launcher masks');
+    console.error('                           (circle, squircle, rounded square, teardrop) and themed,');
+    console.error('                           as PNG or, for a .html file, a web page; given a res');
+    console.error('                           directory instead of an icon folder, only the preview is made');
+    console.error('  --guides                 With --preview, outline the 66dp safe zone and 72dp viewport');
+    console.error('  --lint <file>            Write the foreground and monochrome content checks (safe');
+    console.error('                           zone, mask clipping, size) as JSON, and exit with code 2');
+    console.error('                           if there are warnings');
     console.error('');
     console.error('Example:');
     console.error('  node convert-icon.mjs example-icon-composer-icons/Turntable.icon output');
+    console.error('  node convert-icon.mjs --install ../MyApp/app --dry-run MyIcon.icon');
+    console.error('  node convert-icon.mjs --output build/icons example-icon-composer-icons');
     process.exit(1);
   }
 
-  const iconFolder = path.resolve(args[0]);
-  const outputDir = args[1] ? path.resolve(args[1]) : path.join(process.cwd(), 'output', path.basename(iconFolder, '.icon'));
+  const outputRoot = path.resolve(options.output || 'output');
+  const writePreview = async (resDir, iconName) => {
+    const previewPath = path.resolve(options.preview);
+    await createPreviewSheet(resDir, previewPath, { iconName, guides: options.guides });
+    console.log(`\nPreview written to: ${previewPath}`);
+  };
 
   try {
-    // Validate icon folder exists
-    await fs.access(iconFolder);
-    const iconJsonPath = path.join(iconFolder, 'icon.json');
-    await fs.access(iconJsonPath);
-    
-    // Validate ictool exists
-    await verifyIctoolExists();
-
-    await convertIcon(iconFolder, outputDir);
+    // An existing res directory only gets a preview
+    if (options.preview && args.length === 1 && !(await isIconBundle(args[0]))
+      && await fs.access(path.join(args[0], 'mipmap-anydpi-v26')).then(() => true, () => false)) {
+      await writePreview(path.resolve(args[0]));
+      return;
+    }
+
+    // A second argument that isn't an icon is the output directory of a single icon
+    let inputs = args;
+    let outputDir = null;
+    if (args.length === 2 && !args[1].endsWith('.icon') && !(await isIconBundle(args[1]))) {
+      inputs = [args[0]];
+      outputDir = path.resolve(args[1]);
+    }
+
+    const iconFolders = await findIconBundles(inputs);
+    const batch = iconFolders.length > 1 || !(await isIconBundle(inputs[0]));
+
+    const densities = options.densities
+      ? options.densities.split(',').map(density => density.trim()).filter(Boolean)
+      : undefined;
+
+    const convertOptions = {
+      renderer,
+      prerenderedDir,
+      densities,
+      night: !options['light-only'],
+      monochrome: options.monochrome,
+      matting: options.matting,
+      foregroundScaling: options['foreground-scaling'],
+      monochromeScaling: options['monochrome-scaling'],
+      vector: options.vector,
+      disableEffects,
+      backgroundFit: options['background-tolerance'] !== undefined ? { maxDeltaE: Number(options['background-tolerance']) } : {},
+      diagnostics: options.diagnostics,
+      cache,
+      logger: console
+    };
+
+    if (options.watch && (options.install || batch)) {
+      throw new Error('--watch takes a single icon folder and can\'t be combined with --install');
+    }
+    if (options.diagnostics && options.install) {
+      throw new Error('--diagnostics can\'t be combined with --install');
+    }
+    if (options.lint && (options.install || options.watch)) {
+      throw new Error('--lint can\'t be combined with --install or --watch');
+    }
+    if (options.preview && (options.install || options.watch || batch)) {
+      throw new Error('--preview takes a single icon folder and can\'t be combined with --install or --watch');
+    }
+
+    if (options.install) {
+      if (batch) {
+        throw new Error('--install takes a single icon folder');
+      }
+      await installIcon(iconFolders[0], path.resolve(options.install), {
+        ...convertOptions,
+        dryRun: options['dry-run'],
+        force: options.force
+      });
+      return;
+    }
+
+    if (batch) {
+      console.log(`Converting ${iconFolders.length} icons into ${outputRoot} (${concurrency} at a time)...\n`);
+      // Per-icon progress would interleave, so the logger only gets a line per finished icon
+      const results = await convertIcons(iconFolders, outputRoot, {
+        ...convertOptions,
+        concurrency,
+        keepTemp: options['keep-temp']
+      });
+      console.log(`\n${formatBatchSummary(results)}`);
+      if (options.lint) {
+        // Bundles that failed to convert are in the report too, as failing without checks
+        await writeLintReport(path.resolve(options.lint), results.map(result => result.manifest ?? {
+          iconFolder: result.iconFolder,
+          lint: { passed: false, error: result.error.message, warnings: [] }
+        }));
+      }
+      if (results.some(result => !result.ok)) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    const iconFolder = iconFolders[0];
+    outputDir ??= path.join(outputRoot, path.basename(iconFolder, '.icon'));
+
+    if (options.watch) {
+      const watcher = await watchIcon(iconFolder, outputDir, convertOptions);
+      process.on('SIGINT', async () => {
+        await watcher.close();
+        process.exit(0);
+      });
+      return;
+    }
+
+    const manifest = await convertIcon(iconFolder, outputDir, {
+      ...convertOptions,
+      keepTemp: options['keep-temp']
+    });
+    printManifest(manifest);
+    if (options.preview) {
+      await writePreview(manifest.resDir, manifest.resourceNames.icon);
+    }
+    if (options.lint) {
+      await writeLintReport(path.resolve(options.lint), [manifest]);
+    }
   } catch (error) {
     console.error('Error:', error.message);
     if (error.stack) {
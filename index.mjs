@@ -0,0 +1,22 @@
+/**
+ * Library entry point
+ *
+ * import { convertIcon } from 'convert-apple-icon-composer-to-android-adaptive-icon';
+ * const manifest = await convertIcon('MyIcon.icon', 'output/MyIcon', { densities: ['xxxhdpi'] });
+ */
+
+export { convertIcon, DEFAULT_RENDITIONS, MONOCHROME_MODES, MATTING_MODES } from './lib/convert.mjs';
+export { createRenderer, RENDERER_NAMES } from './lib/renderers.mjs';
+export { DENSITIES, DEFAULT_RESOURCE_NAMES, resourceNamesForBase } from './lib/android-resources.mjs';
+export { installIcon, findAndroidModule } from './lib/android-project.mjs';
+export { convertFromConfig, readConversionConfig } from './lib/config.mjs';
+export { convertIcons, findIconBundles, formatBatchSummary } from './lib/batch.mjs';
+export { watchIcon } from './lib/watch.mjs';
+export { createPreviewSheet, MASK_SHAPES } from './lib/preview.mjs';
+export { lintLayers, analyzeLayer, LINT_DEFAULTS } from './lib/lint.mjs';
+export { SCALING_STRATEGIES, resolvePlacement } from './lib/scaling.mjs';
+export { inspectCache, pruneCache, DEFAULT_CACHE_DIR } from './lib/cache.mjs';
+export { measureBackgroundFit, BACKGROUND_FIT_DEFAULTS } from './lib/background-fit.mjs';
+export { renderDrawable, findResourceFile } from './lib/drawable-renderer.mjs';
+export { verifyIcon, VERIFY_DEFAULTS } from './lib/verify.mjs';
+export { GLASS_EFFECTS, createWithoutEffectsJson } from './lib/icon-utils.mjs';
@@ -0,0 +1,351 @@
+/**
+ * Install converted icons into an Android project module
+ *
+ * Resources are converted into a staging directory first, then compared with
+ * the module's res directory: the plan lists added, changed and unchanged
+ * files, existing launcher resources that would conflict with the new ones,
+ * and a diff of AndroidManifest.xml.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+import { convertIcon } from './convert.mjs';
+
+// Where modules keep their manifest, relative to the module directory
+const MODULE_LAYOUTS = [
+  { manifest: 'src/main/AndroidManifest.xml', res: 'src/main/res' }, // Gradle
+  { manifest: 'AndroidManifest.xml', res: 'res' } // Legacy (Ant/Eclipse)
+];
+
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Find the res directory and AndroidManifest.xml of an Android module
+ *
+ * Accepts the module directory (e.g., `app`) or a project root containing an
+ * `app` module.
+ *
+ * @param {string} modulePath - Path to the module or project
+ * @returns {Promise<{moduleDir: string, manifestPath: string, resDir: string}>}
+ */
+export async function findAndroidModule(modulePath) {
+  const candidates = [modulePath, path.join(modulePath, 'app')];
+
+  for (const moduleDir of candidates) {
+    for (const layout of MODULE_LAYOUTS) {
+      const manifestPath = path.join(moduleDir, layout.manifest);
+      if (await exists(manifestPath)) {
+        return {
+          moduleDir,
+          manifestPath,
+          resDir: path.join(moduleDir, layout.res)
+        };
+      }
+    }
+  }
+
+  throw new Error(`No AndroidManifest.xml found in ${modulePath} (looked for ${MODULE_LAYOUTS.map(layout => layout.manifest).join(', ')})`);
+}
+
+/**
+ * Convert an icon and install it into an Android module
+ *
+ * The plan is always logged first. Nothing is written when dryRun is set, and
+ * existing files are only overwritten (or conflicting files removed) with force.
+ *
+ * @param {string} iconFolder - Path to the .icon folder
+ * @param {string} modulePath - Path to the Android module (or a project with an `app` module)
+ * @param {boolean} dryRun - Only log the plan
+ * @param {boolean} force - Overwrite changed files and remove conflicting ones
+ * @param {Object} logger - Receives progress messages through logger.log() (e.g., console)
+ * @param {Object} convertOptions - Passed on to convertIcon() (resDir is set to the staging directory)
+ * @returns {Promise<{module: Object, plan: Object, applied: boolean, conversion: Object}>}
+ */
+export async function installIcon(iconFolder, modulePath, {
+  dryRun = false,
+  force = false,
+  logger = null,
+  ...convertOptions
+} = {}) {
+  const log = (message) => logger?.log(message);
+  const module = await findAndroidModule(modulePath);
+  log(`Installing into: ${module.moduleDir}`);
+  log(`  Resources: ${module.resDir}`);
+  log(`  Manifest: ${module.manifestPath}\n`);
+
+  const stagingDir = await fs.mkdtemp(path.join(tmpdir(), 'icon-install-'));
+  try {
+    const conversion = await convertIcon(iconFolder, stagingDir, { ...convertOptions, logger });
+    const plan = await planInstall(conversion, module);
+    log(formatPlan(plan));
+
+    if (dryRun) {
+      log('Dry run: nothing was written.');
+      return { module, plan, applied: false, conversion };
+    }
+
+    const overwrites = plan.files.filter(file => file.status === 'modified');
+    if (!force && (overwrites.length > 0 || plan.conflicts.length > 0)) {
+      throw new Error(
+        `Not installing: ${overwrites.length} existing file(s) would be overwritten and ` +
+        `${plan.conflicts.length} conflicting file(s) removed. Review the changes above and rerun with --force.`
+      );
+    }
+
+    await applyInstall(plan, module);
+    log('Installed.');
+    return { module, plan, applied: true, conversion };
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Compare converted resources with the module
+ *
+ * @param {Object} conversion - Manifest returned by convertIcon()
+ * @param {Object} module - Result of findAndroidModule()
+ * @returns {Promise<Object>} { files, conflicts, manifest }:
+ *   files: { relativePath, source, target, status ('added'|'modified'|'unchanged'), diff }
+ *   conflicts: { relativePath, target, reason } for existing files to remove
+ *   manifest: { path, before, after, diff }
+ */
+export async function planInstall(conversion, module) {
+  const files = [];
+  for (const source of conversion.files) {
+    const relativePath = path.relative(conversion.resDir, source);
+    const target = path.join(module.resDir, relativePath);
+    const newContent = await fs.readFile(source);
+    const oldContent = await fs.readFile(target).catch(error => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+
+    let status = 'added';
+    let diff = null;
+    if (oldContent) {
+      status = oldContent.equals(newContent) ? 'unchanged' : 'modified';
+      if (status === 'modified' && path.extname(target) === '.xml') {
+        diff = diffLines(oldContent.toString('utf-8'), newContent.toString('utf-8'), `a/${relativePath}`, `b/${relativePath}`);
+      }
+    }
+    files.push({ relativePath, source, target, status, diff });
+  }
+
+  const conflicts = await findConflictingResources(module.resDir, files.map(file => file.relativePath));
+
+  const before = await fs.readFile(module.manifestPath, 'utf-8');
+  const after = setApplicationIcons(before, {
+    icon: `@mipmap/${conversion.resourceNames.icon}`,
+    roundIcon: `@mipmap/${conversion.resourceNames.roundIcon}`
+  });
+  const manifestName = path.basename(module.manifestPath);
+  const manifest = {
+    path: module.manifestPath,
+    before,
+    after,
+    diff: before === after ? null : diffLines(before, after, `a/${manifestName}`, `b/${manifestName}`)
+  };
+
+  return { files, conflicts, manifest };
+}
+
+/**
+ * Find existing drawable and mipmap resources that clash with the ones being installed
+ *
+ * A resource conflicts when it has the same type and name as an installed file but:
+ * - sits in the same directory with another extension (e.g., ic_launcher.webp
+ *   next to ic_launcher.png), which fails the build with duplicate resources, or
+ * - sits in a directory the install doesn't write (e.g., drawable-v24 or
+ *   mipmap-anydpi), so it would take precedence over, or outlive, the new icon
+ *   on some devices.
+ *
+ * @param {string} resDir - The module's res directory
+ * @param {string[]} installedPaths - Paths being installed, relative to resDir
+ * @returns {Promise<Array<{relativePath: string, target: string, reason: string}>>}
+ */
+export async function findConflictingResources(resDir, installedPaths) {
+  const installed = new Set(installedPaths);
+  const installedDirs = new Set(installedPaths.map(relativePath => path.dirname(relativePath)));
+  const installedNames = new Set(installedPaths.map(relativePath => resourceKey(relativePath)));
+
+  const directories = await fs.readdir(resDir, { withFileTypes: true }).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  const conflicts = [];
+  for (const directory of directories) {
+    if (!directory.isDirectory() || !/^(drawable|mipmap)(-|$)/.test(directory.name)) continue;
+
+    for (const file of await fs.readdir(path.join(resDir, directory.name))) {
+      const relativePath = path.join(directory.name, file);
+      if (installed.has(relativePath) || !installedNames.has(resourceKey(relativePath))) continue;
+
+      const reason = installedDirs.has(directory.name)
+        ? 'same resource with a different file type (duplicate resource)'
+        : `variant in ${directory.name}/ would override or outlive the new icon`;
+      conflicts.push({ relativePath, target: path.join(resDir, relativePath), reason });
+    }
+  }
+
+  return conflicts.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Set android:icon and android:roundIcon on the <application> element
+ *
+ * Edits the start tag in place, keeping the rest of the file (formatting,
+ * comments, attribute order) untouched. New attributes are added after the
+ * previous one in `attributes` (or first), using the same separator as the
+ * tag's existing attributes.
+ *
+ * @param {string} manifestXml - AndroidManifest.xml contents
+ * @param {Object} attributes - Values for android:<name> attributes (e.g., { icon: '@mipmap/ic_launcher' })
+ * @returns {string} The updated manifest
+ */
+export function setApplicationIcons(manifestXml, attributes) {
+  const tagMatch = manifestXml.match(/<application\b(?:[^>"']|"[^"]*"|'[^']*')*>/);
+  if (!tagMatch) {
+    throw new Error('No <application> element found in AndroidManifest.xml');
+  }
+
+  let tag = tagMatch[0];
+  const separator = tag.match(/^<application(\s+)\S/)?.[1] ?? ' ';
+
+  let previousPattern = /^<application/;
+  for (const [name, value] of Object.entries(attributes)) {
+    const attributePattern = new RegExp(`(\\sandroid:${name}\\s*=\\s*)("[^"]*"|'[^']*')`);
+    if (attributePattern.test(tag)) {
+      tag = tag.replace(attributePattern, `$1"${value}"`);
+    } else {
+      tag = tag.replace(previousPattern, (match) => `${match}${separator}android:${name}="${value}"`);
+    }
+    previousPattern = attributePattern;
+  }
+
+  return manifestXml.slice(0, tagMatch.index) + tag + manifestXml.slice(tagMatch.index + tagMatch[0].length);
+}
+
+/**
+ * Remove conflicting files, copy the converted resources, and write the manifest
+ */
+export async function applyInstall(plan, module) {
+  for (const conflict of plan.conflicts) {
+    await fs.rm(conflict.target, { force: true });
+  }
+
+  for (const file of plan.files) {
+    if (file.status === 'unchanged') continue;
+    await fs.mkdir(path.dirname(file.target), { recursive: true });
+    await fs.copyFile(file.source, file.target);
+  }
+
+  if (plan.manifest.diff) {
+    await fs.writeFile(module.manifestPath, plan.manifest.after, 'utf-8');
+  }
+}
+
+/**
+ * Describe an install plan: file statuses, conflicts, and diffs
+ */
+function formatPlan({ files, conflicts, manifest }) {
+  const lines = [];
+  const symbols = { added: '+', modified: '~', unchanged: '=' };
+  const counts = { added: 0, modified: 0, unchanged: 0 };
+
+  lines.push('Resources:');
+  for (const file of files) {
+    counts[file.status]++;
+    lines.push(`  ${symbols[file.status]} ${file.relativePath}${file.status === 'modified' && !file.diff ? ' (binary)' : ''}`);
+  }
+  lines.push(`  ${counts.added} added, ${counts.modified} modified, ${counts.unchanged} unchanged`);
+
+  if (conflicts.length > 0) {
+    lines.push('', 'Conflicting resources (removed on install):');
+    for (const conflict of conflicts) {
+      lines.push(`  - ${conflict.relativePath}: ${conflict.reason}`);
+    }
+  }
+
+  for (const file of files) {
+    if (file.diff) lines.push('', file.diff);
+  }
+
+  lines.push('', manifest.diff ?? 'AndroidManifest.xml: already up to date');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Unified diff of two texts, line by line
+ */
+function diffLines(before, after, fromLabel, toLabel) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence table, from the end
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  // Walk the table into a list of operations
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push({ type: ' ', line: a[i], oldLine: i++, newLine: j++ });
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: '-', line: a[i], oldLine: i++, newLine: j });
+    } else {
+      operations.push({ type: '+', line: b[j], oldLine: i, newLine: j++ });
+    }
+  }
+
+  // Group changes with their surrounding context into hunks
+  const hunks = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') return;
+    const start = Math.max(0, index - DIFF_CONTEXT_LINES);
+    const end = Math.min(operations.length, index + DIFF_CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const { start, end } of hunks) {
+    const hunk = operations.slice(start, end);
+    const oldCount = hunk.filter(operation => operation.type !== '+').length;
+    const newCount = hunk.filter(operation => operation.type !== '-').length;
+    lines.push(`@@ -${hunk[0].oldLine + 1},${oldCount} +${hunk[0].newLine + 1},${newCount} @@`);
+    lines.push(...hunk.map(operation => `${operation.type}${operation.line}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Resource type and name of a res-relative path (e.g., 'mipmap/ic_launcher' for mipmap-hdpi/ic_launcher.png)
+ */
+function resourceKey(relativePath) {
+  const type = path.dirname(relativePath).split('-')[0];
+  const name = path.basename(relativePath).replace(/(\.9)?\.[^.]+$/, '');
+  return `${type}/${name}`;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -4,32 +4,42 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { tmpdir } from 'os';
 import sharp from 'sharp';
-import { samplePixelColor } from './image-processor.mjs';
-import { getFillForDefaultAppearance, parseColorString } from './icon-utils.mjs';
+import { samplePixelColor, prepareForAndroidAdaptiveIcon, prepareBackgroundLayer, resizeSquare, createRoundLegacyIcon } from './image-processor.mjs';
+import { getFillForAppearance, parseColorString, colorToAndroidHex, DEFAULT_GRADIENT_ORIENTATION } from './icon-utils.mjs';
+import { renderLayers } from './js-renderer.mjs';
+import { wrapVector } from './vector-drawable.mjs';
+import { SAFE_ZONE_PLACEMENT } from './scaling.mjs';
+import { measureBackgroundFit, BACKGROUND_FIT_DEFAULTS } from './background-fit.mjs';
 
 /**
  * Generate adaptive-icon.xml file
  * 
+ * Layers given as plain names are referenced as `@drawable/` (background) or
+ * `@mipmap/` (foreground and monochrome); names starting with '@' are used as is.
+ * 
  * @param {string} outputPath - Path where the XML file will be written
  * @param {string} backgroundMipmap - Mipmap name for background (e.g., 'ic_launcher_background')
  * @param {string} foregroundMipmap - Mipmap name for foreground (e.g., 'ic_launcher_foreground')
+ * @param {string} monochromeMipmap - Optional mipmap name for the monochrome layer
  */
 export async function generateAdaptiveIconXml(outputPath, backgroundDrawable, foregroundMipmap, monochromeMipmap = null) {
   // Background can be either a drawable (for gradients) or a mipmap (for PNGs)
   const backgroundRef = backgroundDrawable.startsWith('@') 
     ? backgroundDrawable 
     : `@drawable/${backgroundDrawable}`;
+  const mipmapRef = (name) => name.startsWith('@') ? name : `@mipmap/${name}`;
   
   let monochromeElement = '';
   if (monochromeMipmap) {
-    monochromeElement = `\n    <monochrome android:drawable="@mipmap/${monochromeMipmap}" />`;
+    monochromeElement = `\n    <monochrome android:drawable="${mipmapRef(monochromeMipmap)}" />`;
   }
   
   const xml = `<?xml version="1.0" encoding="utf-8"?>
 <adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
     <background android:drawable="${backgroundRef}" />
-    <foreground android:drawable="@mipmap/${foregroundMipmap}" />${monochromeElement}
+    <foreground android:drawable="${mipmapRef(foregroundMipmap)}" />${monochromeElement}
 </adaptive-icon>
 `;
 
@@ -38,69 +48,63 @@ export async function generateAdaptiveIconXml(outputPath, backgroundDrawable, fo
 
 
 /**
- * Convert RGB values (0-255) to Android hex color string (#AARRGGBB or #RRGGBB)
- */
-function rgbToHex(r, g, b) {
-  return `#${[r, g, b].map(x => {
-    const hex = Math.round(x).toString(16);
-    return hex.length === 1 ? '0' + hex : hex;
-  }).join('')}`;
-}
-
-/**
- * Generate Android drawable XML for a gradient background using layer-list
+ * Generate Android vector drawable XML for a linear gradient background
+ * 
+ * The Apple canvas maps onto the same square of the 108dp layer as the
+ * foreground (its placement, see lib/scaling.mjs; by default the 66dp safe
+ * area, 21dp to 87dp), so the artwork stays on the fill it was designed on.
+ * Gradient points in unit canvas coordinates are converted to that square.
+ * tileMode="clamp" extends the start and end colors past the gradient, out to
+ * the edges of the layer.
  * 
- * Creates a gradient that:
- * - Top solid section from 0dp to top of safe area (18dp)
- * - Gradient section from top of safe area (18dp) to 70% of safe area (64.2dp)
- * - Bottom solid section from gradient end (64.2dp) to bottom (108dp)
+ * With the default orientation and placement, the gradient runs from the top
+ * of the safe area (21dp) to 70% of the safe area (67.2dp).
  * 
  * @param {string} outputPath - Path where the XML file will be written
- * @param {string} topColorHex - Top color in hex format (#RRGGBB)
- * @param {string} bottomColorHex - Bottom color in hex format (#RRGGBB)
+ * @param {string} startColorHex - Start color in hex format (#RRGGBB or #AARRGGBB)
+ * @param {string} endColorHex - End color in hex format (#RRGGBB or #AARRGGBB)
+ * @param {Object} orientation - { start: {x, y}, stop: {x, y} } in unit canvas coordinates
+ * @param {Object} placement - { x, y, size } square of the 108dp layer, in dp, that the canvas maps to
+ *   (default: the 66dp safe area)
  */
-export async function generateGradientDrawableXml(outputPath, topColorHex, bottomColorHex) {
-  // Android Adaptive Icon: 108dp total, 18dp padding, 66dp safe area
-  // Top solid: 0dp to 18dp (top of safe area)
-  // Gradient: 18dp to 70% of safe area = 18dp + (66dp * 0.7) = 18dp + 46.2dp = 64.2dp
-  // Bottom solid: 64.2dp to 108dp
-  
-  const totalHeightDp = 108;
-  const paddingDp = 18;
-  const safeAreaDp = 66;
-  const gradientEndDp = Math.round((paddingDp + (safeAreaDp * 0.7)) * 10) / 10; // 64.2dp, rounded to 1 decimal
-  const gradientHeightDp = Math.round((gradientEndDp - paddingDp) * 10) / 10; // 46.2dp, rounded to 1 decimal
-  const bottomSectionTopDp = gradientEndDp; // 64.2dp
+export async function generateGradientDrawableXml(outputPath, startColorHex, endColorHex, orientation = DEFAULT_GRADIENT_ORIENTATION, placement = SAFE_ZONE_PLACEMENT) {
+  const totalSizeDp = 108;
+  const round = (dp) => Math.round(dp * 10) / 10; // rounded to 1 decimal
+  const toDpX = (unit) => round(placement.x + placement.size * unit);
+  const toDpY = (unit) => round(placement.y + placement.size * unit);
   
-  const xml = `<?xml version="1.0" encoding="utf-8"?>
-<layer-list xmlns:android="http://schemas.android.com/apk/res/android">
-    <!-- Top solid section: 0dp to top of safe area (18dp) -->
-    <item android:height="${paddingDp}dp">
-        <shape android:shape="rectangle">
-            <solid android:color="${topColorHex}" />
-        </shape>
-    </item>
-
-    <!-- Gradient section: from top of safe area (18dp) to 70% of safe area (64.2dp) -->
-    <item
-        android:top="${paddingDp}dp"
-        android:height="${gradientHeightDp}dp">
-        <shape android:shape="rectangle">
+  const pathData = `M0,0h${totalSizeDp}v${totalSizeDp}h-${totalSizeDp}z`;
+  
+  let pathElement;
+  if (startColorHex === endColorHex) {
+    pathElement = `    <path
+        android:pathData="${pathData}"
+        android:fillColor="${startColorHex}" />`;
+  } else {
+    pathElement = `    <path android:pathData="${pathData}">
+        <aapt:attr name="android:fillColor">
             <gradient
                 android:type="linear"
-                android:angle="270"
-                android:startColor="${topColorHex}"
-                android:endColor="${bottomColorHex}" />
-        </shape>
-    </item>
-
-    <!-- Bottom solid section: from gradient end (64.2dp) to bottom (108dp) -->
-    <item android:top="${bottomSectionTopDp}dp">
-        <shape android:shape="rectangle">
-            <solid android:color="${bottomColorHex}" />
-        </shape>
-    </item>
-</layer-list>
+                android:startX="${toDpX(orientation.start.x)}"
+                android:startY="${toDpY(orientation.start.y)}"
+                android:endX="${toDpX(orientation.stop.x)}"
+                android:endY="${toDpY(orientation.stop.y)}"
+                android:startColor="${startColorHex}"
+                android:endColor="${endColorHex}"
+                android:tileMode="clamp" />
+        </aapt:attr>
+    </path>`;
+  }
+  
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<vector xmlns:android="http://schemas.android.com/apk/res/android"
+    xmlns:aapt="http://schemas.android.com/aapt"
+    android:width="${totalSizeDp}dp"
+    android:height="${totalSizeDp}dp"
+    android:viewportWidth="${totalSizeDp}"
+    android:viewportHeight="${totalSizeDp}">
+${pathElement}
+</vector>
 `;
 
   await fs.writeFile(outputPath, xml, 'utf-8');
@@ -111,23 +115,55 @@ export async function generateGradientDrawableXml(outputPath, topColorHex, botto
  * 
  * For linear-gradient: reads both colors from icon.json
  * For automatic-gradient: samples top color from image, reads bottom color from icon.json
+ * Gradients follow the fill's `orientation` (start/stop points), if it has one
  * 
  * @param {Object} iconData - The icon.json data
  * @param {string} backgroundImagePath - Path to the background PNG (for sampling automatic-gradient top color)
  * @param {string} outputPath - Path where the drawable XML will be written
+ * @param {string|null} appearance - 'dark' for the night variant, or null for Default (Light)
+ * @param {Object} placement - Where the canvas goes in the layer (see generateGradientDrawableXml())
+ */
+export async function generateBackgroundDrawableFromIcon(iconData, backgroundImagePath, outputPath, { appearance = null, placement = SAFE_ZONE_PLACEMENT } = {}) {
+  const { unsupported, topColor, bottomColor, orientation } = await readBackgroundColors(iconData, backgroundImagePath, appearance);
+  if (unsupported) {
+    throw new Error(unsupported);
+  }
+  return writeBackgroundDrawable(outputPath, topColor, bottomColor, orientation, placement);
+}
+
+async function writeBackgroundDrawable(outputPath, topColor, bottomColor, orientation, placement) {
+  // Convert to hex
+  const topColorHex = colorToAndroidHex(topColor);
+  const bottomColorHex = colorToAndroidHex(bottomColor);
+  
+  // Generate gradient drawable XML
+  await generateGradientDrawableXml(outputPath, topColorHex, bottomColorHex, orientation, placement);
+  
+  return { topColorHex, bottomColorHex, orientation };
+}
+
+/**
+ * Read the two colors and the direction of the gradient drawable for the canvas fill
+ * 
+ * @returns {Promise<Object>} { topColor, bottomColor, orientation }, or { unsupported } with the reason
+ *   a gradient drawable can't represent the fill
  */
-export async function generateBackgroundDrawableFromIcon(iconData, backgroundImagePath, outputPath) {
-  const fill = getFillForDefaultAppearance(iconData);
+async function readBackgroundColors(iconData, backgroundImagePath, appearance) {
+  const fill = getFillForAppearance(iconData, appearance);
   
   if (!fill) {
-    throw new Error('No fill found in icon.json');
+    return { unsupported: 'No fill found in icon.json' };
   }
   
   let topColor, bottomColor;
+  const orientation = (typeof fill === 'object' && fill.orientation) || DEFAULT_GRADIENT_ORIENTATION;
   
-  // Handle string values: "automatic" or "none" means plain white background
+  // Handle string values: "automatic" or "none" means plain white background (black in dark mode)
   if (typeof fill === 'string') {
-    if (fill === 'automatic' || fill === 'none') {
+    if ((fill === 'automatic' || fill === 'none') && appearance === 'dark') {
+      // Dark mode adapts the automatic background to dark
+      topColor = bottomColor = { r: 0, g: 0, b: 0 };
+    } else if (fill === 'automatic' || fill === 'none') {
       // Plain white background
       topColor = bottomColor = { r: 255, g: 255, b: 255 };
     } else if (fill === 'system-dark') {
@@ -137,7 +173,7 @@ export async function generateBackgroundDrawableFromIcon(iconData, backgroundIma
       // Light background (typically white)
       topColor = bottomColor = { r: 255, g: 255, b: 255 };
     } else {
-      throw new Error(`Unsupported fill string value: ${fill}`);
+      return { unsupported: `Unsupported fill string value: ${fill}` };
     }
   }
   // Handle linear-gradient: both colors are in JSON
@@ -148,107 +184,453 @@ export async function generateBackgroundDrawableFromIcon(iconData, backgroundIma
       bottomColor = parseColorString(gradientColors[1]);
       
       if (!topColor || !bottomColor) {
-        throw new Error('Failed to parse linear-gradient colors from icon.json');
+        return { unsupported: 'Failed to parse linear-gradient colors from icon.json' };
       }
+    } else {
+      return { unsupported: 'The linear-gradient in icon.json has fewer than two colors' };
     }
   }
   // Handle automatic-gradient: only bottom color in JSON, need to sample top color
   else if (fill['automatic-gradient']) {
     bottomColor = parseColorString(fill['automatic-gradient']);
     if (!bottomColor) {
-      throw new Error('Failed to parse automatic-gradient bottom color from icon.json');
+      return { unsupported: 'Failed to parse automatic-gradient bottom color from icon.json' };
     }
     
     // Sample top color from the exported background image
-    // Sample at center, 50px down from top of the original image
+    // Sample 50px from the gradient's start point, toward its stop point
+    // (with the default orientation: at center, 50px down from the top)
     const image = sharp(backgroundImagePath);
     const metadata = await image.metadata();
-    const centerX = metadata.width / 2;
+    const startX = orientation.start.x * metadata.width;
+    const startY = orientation.start.y * metadata.height;
+    const dx = orientation.stop.x * metadata.width - startX;
+    const dy = orientation.stop.y * metadata.height - startY;
+    const length = Math.hypot(dx, dy) || 1;
     
-    // Sample at 50px from the top (as specified by user)
     // This should be in the actual image, not in padded area
-    const topY = 50;
-    const topColorData = await samplePixelColor(backgroundImagePath, centerX, topY);
-    topColor = { r: topColorData.r, g: topColorData.g, b: topColorData.b };
+    const sampleDistance = 50;
+    const topColorData = await samplePixelColor(
+      backgroundImagePath,
+      startX + dx / length * sampleDistance,
+      startY + dy / length * sampleDistance
+    );
+    topColor = { r: topColorData.r, g: topColorData.g, b: topColorData.b, a: bottomColor.a };
   }
   // Handle solid color: use same color for top and bottom
   else if (fill.solid) {
     const solidColor = parseColorString(fill.solid);
     if (!solidColor) {
-      throw new Error('Failed to parse solid color from icon.json');
+      return { unsupported: 'Failed to parse solid color from icon.json' };
     }
     topColor = bottomColor = solidColor;
   }
   else {
-    throw new Error(`Unsupported fill type: ${typeof fill === 'object' ? Object.keys(fill)[0] : fill}`);
+    return { unsupported: `Unsupported fill type: ${typeof fill === 'object' ? Object.keys(fill)[0] : fill}` };
   }
   
-  // Convert to hex
-  const topColorHex = rgbToHex(topColor.r, topColor.g, topColor.b);
-  const bottomColorHex = rgbToHex(bottomColor.r, bottomColor.g, bottomColor.b);
-  
-  // Generate gradient drawable XML
-  await generateGradientDrawableXml(outputPath, topColorHex, bottomColorHex);
-  
-  return { topColorHex, bottomColorHex };
+  return { topColor, bottomColor, orientation };
 }
 
 /**
- * Create Android resource directory structure and copy PNG files
+ * Density buckets and their scale factors relative to mdpi (1dp = 1px)
+ */
+export const DENSITIES = {
+  mdpi: 1,
+  hdpi: 1.5,
+  xhdpi: 2,
+  xxhdpi: 3,
+  xxxhdpi: 4
+};
+
+// Adaptive icon layers are 108dp; legacy launcher icons are 48dp
+const ADAPTIVE_LAYER_SIZE_DP = 108;
+const LEGACY_ICON_SIZE_DP = 48;
+
+/**
+ * Resource names written by createAndroidResourceStructure() and createNightResources()
+ */
+export const DEFAULT_RESOURCE_NAMES = {
+  icon: 'ic_launcher',
+  roundIcon: 'ic_launcher_round',
+  background: 'ic_launcher_background',
+  foreground: 'ic_launcher_foreground',
+  monochrome: 'ic_launcher_foreground_monochrome'
+};
+
+/**
+ * Derive the resource names for an icon from a base name
+ * (e.g., 'ic_launcher_debug' gives ic_launcher_debug, ic_launcher_debug_round, ic_launcher_debug_background, ...)
  * 
- * Creates:
+ * @param {string} baseName - Name of the launcher icon resource
+ * @returns {Object} Resource names, in the shape of DEFAULT_RESOURCE_NAMES
+ */
+export function resourceNamesForBase(baseName) {
+  return {
+    icon: baseName,
+    roundIcon: `${baseName}_round`,
+    background: `${baseName}_background`,
+    foreground: `${baseName}_foreground`,
+    monochrome: `${baseName}_foreground_monochrome`
+  };
+}
+
+/**
+ * Create Android resource directory structure and write PNG files
+ * 
+ * Creates (with the default resource names):
  * - res/mipmap-anydpi-v26/ic_launcher.xml (adaptive icon XML for API 26+)
- * - res/drawable/ic_launcher_background.xml (gradient drawable)
- * - res/mipmap-xxxhdpi/ic_launcher.png (fallback for API 25 and lower)
- * - res/mipmap-xxxhdpi/ic_launcher_foreground.png
- * - res/mipmap-xxxhdpi/ic_launcher_foreground_monochrome.png (if provided)
+ * - res/mipmap-anydpi-v26/ic_launcher_round.xml (same adaptive icon, for android:roundIcon)
+ * - res/drawable/ic_launcher_background.xml (gradient drawable), or
+ *   res/drawable-<density>/ic_launcher_background.png if the gradient can't match the render (see writeBackgroundLayer())
+ * - res/mipmap-<density>/ic_launcher.png (48dp fallback for API 25 and lower)
+ * - res/mipmap-<density>/ic_launcher_round.png (48dp circular fallback for API 25 and lower)
+ * - res/mipmap-<density>/ic_launcher_foreground.png (108dp layer)
+ * - res/mipmap-<density>/ic_launcher_foreground_monochrome.png (108dp layer, if provided)
+ * 
+ * Every PNG is resized directly from the 1024px source for each density.
+ * The foreground and monochrome PNGs are skipped when a drawable reference
+ * (e.g., a vector drawable from createVectorLayerResources()) is given instead.
  * 
  * @param {string} baseOutputDir - Base output directory
  * @param {Object} iconData - The original icon.json data
  * @param {string} fullPngPath - Path to full icon PNG file (for API 25 fallback)
- * @param {string} backgroundPngPath - Path to background PNG file (for color sampling if needed)
+ * @param {string} backgroundPngPath - Path to background PNG file (for color sampling and round fallbacks)
  * @param {string} foregroundPngPath - Path to foreground PNG file
  * @param {string} monochromeForegroundPngPath - Optional path to monochrome foreground PNG file
+ * @param {string[]} densities - Density buckets to write (default: all of DENSITIES)
+ * @param {string} resDir - Resource directory to write into (default: <baseOutputDir>/res)
+ * @param {Object} names - Resource names, overriding DEFAULT_RESOURCE_NAMES
+ * @param {string} foregroundDrawable - Optional resource reference to use for the foreground layer (e.g., '@drawable/ic_launcher_foreground')
+ * @param {string} monochromeDrawable - Optional resource reference to use for the monochrome layer
+ * @param {Object} foregroundPlacement - Where the foreground, and the background with it, go in the layer
+ *   (see lib/scaling.mjs; default: the safe area)
+ * @param {Object} monochromePlacement - Where the monochrome layer goes in the layer
+ * @param {Object} backgroundFit - Thresholds of the background check, overriding BACKGROUND_FIT_DEFAULTS (lib/background-fit.mjs)
+ * @returns {Promise<Object>} Directories, XML paths, every file written (`files`), and the background layer (`background`,
+ *   see writeBackgroundLayer())
  */
-export async function createAndroidResourceStructure(baseOutputDir, iconData, fullPngPath, backgroundPngPath, foregroundPngPath, monochromeForegroundPngPath = null) {
+export async function createAndroidResourceStructure(baseOutputDir, iconData, fullPngPath, backgroundPngPath, foregroundPngPath, monochromeForegroundPngPath = null, {
+  densities = Object.keys(DENSITIES),
+  resDir = path.join(baseOutputDir, 'res'),
+  names: nameOverrides = {},
+  foregroundDrawable = null,
+  monochromeDrawable = null,
+  foregroundPlacement = SAFE_ZONE_PLACEMENT,
+  monochromePlacement = SAFE_ZONE_PLACEMENT,
+  backgroundFit = {}
+} = {}) {
+  validateDensities(densities);
+  const names = { ...DEFAULT_RESOURCE_NAMES, ...nameOverrides };
+  const files = [];
+
   // Create directories
-  const anydpiDir = path.join(baseOutputDir, 'res', 'mipmap-anydpi-v26');
-  const drawableDir = path.join(baseOutputDir, 'res', 'drawable');
-  const mipmapDir = path.join(baseOutputDir, 'res', 'mipmap-xxxhdpi');
+  const anydpiDir = path.join(resDir, 'mipmap-anydpi-v26');
+  const drawableDir = path.join(resDir, 'drawable');
   
   await fs.mkdir(anydpiDir, { recursive: true });
   await fs.mkdir(drawableDir, { recursive: true });
-  await fs.mkdir(mipmapDir, { recursive: true });
   
-  // Copy full icon for API 25 and lower fallback
-  const fullIconDest = path.join(mipmapDir, 'ic_launcher.png');
-  await fs.copyFile(fullPngPath, fullIconDest);
-  
-  // Copy foreground PNG file
-  const foregroundDest = path.join(mipmapDir, 'ic_launcher_foreground.png');
-  await fs.copyFile(foregroundPngPath, foregroundDest);
-  
-  // Copy monochrome foreground PNG file if provided
-  let monochromeMipmap = null;
-  if (monochromeForegroundPngPath) {
-    const monochromeDest = path.join(mipmapDir, 'ic_launcher_foreground_monochrome.png');
-    await fs.copyFile(monochromeForegroundPngPath, monochromeDest);
-    monochromeMipmap = 'ic_launcher_foreground_monochrome';
+  const mipmapDirs = {};
+  for (const density of densities) {
+    const mipmapDir = path.join(resDir, `mipmap-${density}`);
+    await fs.mkdir(mipmapDir, { recursive: true });
+    mipmapDirs[density] = mipmapDir;
+
+    const layerSize = Math.round(ADAPTIVE_LAYER_SIZE_DP * DENSITIES[density]);
+    const legacySize = Math.round(LEGACY_ICON_SIZE_DP * DENSITIES[density]);
+
+    // Full icon for API 25 and lower fallback
+    const legacyPath = path.join(mipmapDir, `${names.icon}.png`);
+    await resizeSquare(fullPngPath, legacyPath, legacySize);
+    files.push(legacyPath);
+
+    // Circular icon for API 25 and lower fallback (android:roundIcon)
+    const roundPath = path.join(mipmapDir, `${names.roundIcon}.png`);
+    await createRoundLegacyIcon(backgroundPngPath, foregroundPngPath, roundPath, legacySize, foregroundPlacement);
+    files.push(roundPath);
+
+    // Foreground layer
+    if (!foregroundDrawable) {
+      const foregroundPath = path.join(mipmapDir, `${names.foreground}.png`);
+      await prepareForAndroidAdaptiveIcon(foregroundPngPath, foregroundPath, layerSize, foregroundPlacement);
+      files.push(foregroundPath);
+    }
+
+    // Monochrome layer, if provided
+    if (monochromeForegroundPngPath && !monochromeDrawable) {
+      const monochromePath = path.join(mipmapDir, `${names.monochrome}.png`);
+      await prepareForAndroidAdaptiveIcon(monochromeForegroundPngPath, monochromePath, layerSize, monochromePlacement);
+      files.push(monochromePath);
+    }
   }
   
-  // Generate gradient drawable XML from icon.json (and image if needed)
-  const backgroundDrawablePath = path.join(drawableDir, 'ic_launcher_background.xml');
-  await generateBackgroundDrawableFromIcon(iconData, backgroundPngPath, backgroundDrawablePath);
+  const foregroundMipmap = foregroundDrawable || names.foreground;
+  const monochromeMipmap = monochromeDrawable || (monochromeForegroundPngPath ? names.monochrome : null);
+  
+  // Generate gradient drawable XML from icon.json (and image if needed), or fall back to the render
+  const { files: backgroundFiles, background } = await writeBackgroundLayer(iconData, backgroundPngPath, names.background, {
+    resDir,
+    densities,
+    placement: foregroundPlacement,
+    fit: backgroundFit
+  });
+  files.push(...backgroundFiles);
   
   // Generate adaptive-icon.xml in mipmap-anydpi-v26 directory
   // Reference the drawable for background instead of mipmap
-  const xmlPath = path.join(anydpiDir, 'ic_launcher.xml');
-  await generateAdaptiveIconXml(xmlPath, 'ic_launcher_background', 'ic_launcher_foreground', monochromeMipmap);
+  const xmlPath = path.join(anydpiDir, `${names.icon}.xml`);
+  await generateAdaptiveIconXml(xmlPath, names.background, foregroundMipmap, monochromeMipmap);
+  files.push(xmlPath);
+  
+  // The round icon uses the same layers; the launcher applies its own mask
+  const roundXmlPath = path.join(anydpiDir, `${names.roundIcon}.xml`);
+  await generateAdaptiveIconXml(roundXmlPath, names.background, foregroundMipmap, monochromeMipmap);
+  files.push(roundXmlPath);
   
   return {
     anydpiDir,
     drawableDir,
-    mipmapDir,
-    xmlPath
+    mipmapDirs,
+    xmlPath,
+    roundXmlPath,
+    files,
+    background
   };
 }
+
+/**
+ * Create night-mode (dark appearance) variants of the background and foreground
+ * 
+ * Launchers that honor night-qualified resources pick these up automatically,
+ * since the adaptive icon XML references the same resource names.
+ * 
+ * Creates (with the default resource names):
+ * - res/drawable-night/ic_launcher_background.xml (gradient drawable for the dark fill), or
+ *   res/drawable-night-<density>/ic_launcher_background.png (see writeBackgroundLayer())
+ * - res/mipmap-night-<density>/ic_launcher_foreground.png (108dp layer, unless vectorForeground is set)
+ * 
+ * @param {string} baseOutputDir - Base output directory
+ * @param {Object} iconData - The original icon.json data
+ * @param {string} backgroundPngPath - Path to the Dark rendition background PNG (for color sampling if needed)
+ * @param {string} foregroundPngPath - Path to the Dark rendition foreground PNG
+ * @param {string[]} densities - Density buckets to write (default: all of DENSITIES)
+ * @param {string} resDir - Resource directory to write into (default: <baseOutputDir>/res)
+ * @param {Object} names - Resource names, overriding DEFAULT_RESOURCE_NAMES
+ * @param {boolean} vectorForeground - Skip the foreground PNGs (the night foreground is written by createVectorLayerResources())
+ * @param {Object} foregroundPlacement - Where the foreground, and the background with it, go in the layer
+ *   (see lib/scaling.mjs; default: the safe area)
+ * @param {Object} backgroundFit - Thresholds of the background check, overriding BACKGROUND_FIT_DEFAULTS (lib/background-fit.mjs)
+ * @returns {Promise<Object>} Directories, every file written (`files`), and the background layer (`background`)
+ */
+export async function createNightResources(baseOutputDir, iconData, backgroundPngPath, foregroundPngPath, {
+  densities = Object.keys(DENSITIES),
+  resDir = path.join(baseOutputDir, 'res'),
+  names: nameOverrides = {},
+  vectorForeground = false,
+  foregroundPlacement = SAFE_ZONE_PLACEMENT,
+  backgroundFit = {}
+} = {}) {
+  validateDensities(densities);
+  const names = { ...DEFAULT_RESOURCE_NAMES, ...nameOverrides };
+  const files = [];
+
+  const drawableDir = path.join(resDir, 'drawable-night');
+  await fs.mkdir(drawableDir, { recursive: true });
+  
+  const mipmapDirs = {};
+  for (const density of densities) {
+    if (vectorForeground) continue;
+    
+    const mipmapDir = path.join(resDir, `mipmap-night-${density}`);
+    await fs.mkdir(mipmapDir, { recursive: true });
+    mipmapDirs[density] = mipmapDir;
+    
+    const layerSize = Math.round(ADAPTIVE_LAYER_SIZE_DP * DENSITIES[density]);
+    const foregroundPath = path.join(mipmapDir, `${names.foreground}.png`);
+    await prepareForAndroidAdaptiveIcon(foregroundPngPath, foregroundPath, layerSize, foregroundPlacement);
+    files.push(foregroundPath);
+  }
+  
+  const { files: backgroundFiles, background } = await writeBackgroundLayer(iconData, backgroundPngPath, names.background, {
+    resDir,
+    qualifier: 'night',
+    densities,
+    appearance: 'dark',
+    placement: foregroundPlacement,
+    fit: backgroundFit
+  });
+  files.push(...backgroundFiles);
+  
+  return {
+    drawableDir,
+    mipmapDirs,
+    files,
+    background
+  };
+}
+
+/**
+ * Write the background layer: the gradient drawable, if it's close enough to
+ * the background render, otherwise the render itself as a PNG at every density
+ * 
+ * The gradient is checked with measureBackgroundFit(); fills that
+ * generateBackgroundDrawableFromIcon() doesn't support always fall back, and
+ * any other error (reading the render, writing files) is thrown. The
+ * PNGs go in drawable-[<qualifier>-]<density> rather than mipmap directories,
+ * so the adaptive icon keeps referencing @drawable/<name>, and the day and
+ * night backgrounds can each take either path. The other path's files from an
+ * earlier run are removed.
+ * 
+ * @param {Object} iconData - The icon.json data
+ * @param {string} backgroundPngPath - Path to the background PNG
+ * @param {string} name - Resource name (e.g., 'ic_launcher_background')
+ * @param {string} resDir - Resource directory to write into
+ * @param {string|null} qualifier - Resource qualifier (e.g., 'night'), or null
+ * @param {string[]} densities - Density buckets to write PNGs for
+ * @param {string|null} appearance - 'dark' for the night variant, or null for Default (Light)
+ * @param {Object} placement - Where the canvas goes in the layer, as for the foreground (default: the safe area)
+ * @param {Object} fit - Thresholds, overriding BACKGROUND_FIT_DEFAULTS
+ * @returns {Promise<{files: string[], background: Object}>} background is { type: 'gradient' or 'bitmap', reason,
+ *   fit: { meanDeltaE, p95DeltaE, maxDeltaE }, topColorHex, bottomColorHex, orientation }; fit and the colors
+ *   are null for unsupported fills
+ */
+async function writeBackgroundLayer(iconData, backgroundPngPath, name, { resDir, qualifier = null, densities, appearance = null, placement = SAFE_ZONE_PLACEMENT, fit = {} }) {
+  const thresholds = { ...BACKGROUND_FIT_DEFAULTS, ...fit };
+  const directory = (density) => path.join(resDir, ['drawable', qualifier, density].filter(Boolean).join('-'));
+  const drawablePath = path.join(directory(null), `${name}.xml`);
+  await fs.mkdir(directory(null), { recursive: true });
+
+  let colors = { topColorHex: null, bottomColorHex: null, orientation: null };
+  let measured = null;
+  // Only fills a gradient can't represent fall back here; any other error fails the conversion
+  const { unsupported, topColor, bottomColor, orientation } = await readBackgroundColors(iconData, backgroundPngPath, appearance);
+  let reason = unsupported ?? null;
+  if (!reason) {
+    colors = await writeBackgroundDrawable(drawablePath, topColor, bottomColor, orientation, placement);
+    measured = await measureBackgroundFit(drawablePath, backgroundPngPath, placement);
+    if (!measured) {
+      reason = 'The background canvas is outside the layer';
+    } else if (measured.p95DeltaE > thresholds.maxDeltaE) {
+      reason = `The gradient drawable differs from the render (95th percentile ΔE ${measured.p95DeltaE}, more than ${thresholds.maxDeltaE})`;
+    }
+  }
+
+  if (!reason) {
+    for (const density of Object.keys(DENSITIES)) {
+      await fs.rm(path.join(directory(density), `${name}.png`), { force: true });
+    }
+    return {
+      files: [drawablePath],
+      background: { type: 'gradient', reason: `The gradient drawable matches the render (95th percentile ΔE ${measured.p95DeltaE})`, fit: measured, ...colors }
+    };
+  }
+
+  await fs.rm(drawablePath, { force: true });
+  const files = [];
+  for (const density of densities) {
+    await fs.mkdir(directory(density), { recursive: true });
+    const layerPath = path.join(directory(density), `${name}.png`);
+    await prepareBackgroundLayer(backgroundPngPath, layerPath, Math.round(ADAPTIVE_LAYER_SIZE_DP * DENSITIES[density]), placement);
+    files.push(layerPath);
+  }
+  return { files, background: { type: 'bitmap', reason, fit: measured, ...colors } };
+}
+
+function validateDensities(densities) {
+  for (const density of densities) {
+    if (!(density in DENSITIES)) {
+      throw new Error(`Unknown density: ${density} (expected one of: ${Object.keys(DENSITIES).join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Write a layer drawable converted by convertLayersToVectorDrawables()
+ * 
+ * If every layer converted, the result is a single vector drawable. Otherwise
+ * it's a layer-list that stacks vector drawables and PNG mipmaps (one per run
+ * of layers that couldn't be converted, rendered with the JavaScript renderer).
+ * 
+ * Creates:
+ * - res/drawable[-<qualifier>]/<name>.xml (vector drawable or layer-list)
+ * - res/drawable/<name>[_<qualifier>]_<n>.xml (vector runs of a layer-list)
+ * - res/mipmap-<density>/<name>[_<qualifier>]_<n>.png (bitmap runs of a layer-list)
+ * 
+ * Layer-list items are always written without a qualifier (so every
+ * configuration has a default resource), and get the qualifier in their name
+ * instead.
+ * 
+ * @param {string} baseOutputDir - Base output directory
+ * @param {string} iconFolder - Path to the .icon folder (for rendering bitmap runs)
+ * @param {Object} conversion - Result of convertLayersToVectorDrawables()
+ * @param {string} name - Resource name (e.g., 'ic_launcher_foreground')
+ * @param {string|null} qualifier - Resource qualifier for the drawable (e.g., 'night'), or null
+ * @param {string|null} appearance - Appearance the conversion used, for rendering bitmap runs
+ * @param {boolean} monochrome - Whether the conversion was monochrome, for rendering bitmap runs
+ * @param {string[]} densities - Density buckets to write bitmap runs for (default: all of DENSITIES)
+ * @param {string} resDir - Resource directory to write into (default: <baseOutputDir>/res)
+ * @param {Object} placement - Where bitmap runs go in the layer; must match the placement of the conversion
+ * @returns {Promise<{drawablePath: string, reference: string, files: string[]}>}
+ */
+export async function createVectorLayerResources(baseOutputDir, iconFolder, conversion, name, {
+  qualifier = null,
+  appearance = null,
+  monochrome = false,
+  densities = Object.keys(DENSITIES),
+  resDir = path.join(baseOutputDir, 'res'),
+  placement = SAFE_ZONE_PLACEMENT
+} = {}) {
+  const files = [];
+  const drawableDir = path.join(resDir, qualifier ? `drawable-${qualifier}` : 'drawable');
+  await fs.mkdir(drawableDir, { recursive: true });
+  const drawablePath = path.join(drawableDir, `${name}.xml`);
+  const { runs } = conversion;
+
+  if (runs.length <= 1 && runs[0]?.type !== 'bitmap') {
+    await fs.writeFile(drawablePath, runs[0]?.xml ?? wrapVector([], placement), 'utf-8');
+    return { drawablePath, reference: `@drawable/${name}`, files: [drawablePath] };
+  }
+
+  const items = [];
+  for (const [index, run] of runs.entries()) {
+    const itemName = qualifier ? `${name}_${qualifier}_${index}` : `${name}_${index}`;
+
+    if (run.type === 'vector') {
+      const itemPath = path.join(resDir, 'drawable', `${itemName}.xml`);
+      await fs.mkdir(path.dirname(itemPath), { recursive: true });
+      await fs.writeFile(itemPath, run.xml, 'utf-8');
+      files.push(itemPath);
+      items.push(`@drawable/${itemName}`);
+      continue;
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'icon-layers-'));
+    try {
+      const layersPath = path.join(tempDir, 'layers.png');
+      await renderLayers(iconFolder, layersPath, { layers: run.indices, appearance, monochrome });
+
+      for (const density of densities) {
+        const mipmapDir = path.join(resDir, `mipmap-${density}`);
+        await fs.mkdir(mipmapDir, { recursive: true });
+        const layerSize = Math.round(ADAPTIVE_LAYER_SIZE_DP * DENSITIES[density]);
+        const itemPath = path.join(mipmapDir, `${itemName}.png`);
+        await prepareForAndroidAdaptiveIcon(layersPath, itemPath, layerSize, placement);
+        files.push(itemPath);
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+    items.push(`@mipmap/${itemName}`);
+  }
+
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<layer-list xmlns:android="http://schemas.android.com/apk/res/android">
+${items.map(item => `    <item android:drawable="${item}" />`).join('\n')}
+</layer-list>
+`;
+  await fs.writeFile(drawablePath, xml, 'utf-8');
+  files.push(drawablePath);
+
+  return { drawablePath, reference: `@drawable/${name}`, files };
+}
@@ -0,0 +1,107 @@
+/**
+ * Check how closely a background drawable matches the exported background
+ *
+ * The gradient drawables are an approximation: two colors sampled or read from
+ * icon.json, while the render may have a different automatic gradient, more
+ * stops or a noisy fill. The drawable is rasterized over the square the Apple
+ * canvas goes to (the foreground's placement, by default the 66dp safe area)
+ * and compared with the render pixel by pixel, where that square is inside
+ * the layer, as CIE76 ΔE in Lab: about 2.3 is a just noticeable difference.
+ */
+
+import sharp from 'sharp';
+
+import { renderDrawable } from './drawable-renderer.mjs';
+import { SAFE_ZONE_PLACEMENT } from './scaling.mjs';
+
+/**
+ * Default thresholds
+ */
+export const BACKGROUND_FIT_DEFAULTS = {
+  maxDeltaE: 5 // 95th percentile ΔE above which the render is used instead of the drawable
+};
+
+const LAYER_SIZE_DP = 108;
+
+// The canvas is compared at this size (the render is scaled down)
+const COMPARE_SIZE = 256;
+
+/**
+ * Measure the difference between a background drawable and a background render
+ *
+ * @param {string} drawablePath - Vector drawable XML on the 108dp layer
+ * @param {string} backgroundImagePath - Render of the canvas fill
+ * @param {Object} placement - { x, y, size } square of the layer, in dp, that the canvas maps to (default: the safe area)
+ * @returns {Promise<{meanDeltaE: number, p95DeltaE: number, maxDeltaE: number}|null>} Over the opaque pixels of the
+ *   render, or null when the canvas is outside the layer
+ */
+export async function measureBackgroundFit(drawablePath, backgroundImagePath, placement = SAFE_ZONE_PLACEMENT) {
+  // The layer is rendered at the size that makes the canvas COMPARE_SIZE pixels
+  const pixelsPerDp = COMPARE_SIZE / placement.size;
+  const layerSize = Math.round(LAYER_SIZE_DP * pixelsPerDp);
+  // Offsets of the placement's center from the layer's center move the centered canvas
+  const left = Math.round((layerSize - COMPARE_SIZE) / 2 + (placement.x + placement.size / 2 - LAYER_SIZE_DP / 2) * pixelsPerDp);
+  const top = Math.round((layerSize - COMPARE_SIZE) / 2 + (placement.y + placement.size / 2 - LAYER_SIZE_DP / 2) * pixelsPerDp);
+
+  // Only the part of the canvas inside the layer can be compared
+  const region = {
+    left: Math.max(0, left),
+    top: Math.max(0, top),
+    width: Math.min(layerSize, left + COMPARE_SIZE) - Math.max(0, left),
+    height: Math.min(layerSize, top + COMPARE_SIZE) - Math.max(0, top)
+  };
+  if (region.width <= 0 || region.height <= 0) {
+    return null;
+  }
+
+  const drawn = await sharp(await renderDrawable(drawablePath, layerSize))
+    .extract(region)
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+  const rendered = await sharp(await sharp(backgroundImagePath).resize(COMPARE_SIZE, COMPARE_SIZE, { fit: 'fill' }).toBuffer())
+    .extract({ ...region, left: region.left - left, top: region.top - top })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+
+  const differences = [];
+  for (let i = 0; i < rendered.length; i += 4) {
+    if (rendered[i + 3] < 255) continue;
+    differences.push(deltaE(toLab(drawn, i), toLab(rendered, i)));
+  }
+  if (differences.length === 0) {
+    return { meanDeltaE: 0, p95DeltaE: 0, maxDeltaE: 0 };
+  }
+
+  differences.sort((a, b) => a - b);
+  return {
+    meanDeltaE: round(differences.reduce((sum, value) => sum + value, 0) / differences.length),
+    p95DeltaE: round(differences[Math.floor(differences.length * 0.95)]),
+    maxDeltaE: round(differences[differences.length - 1])
+  };
+}
+
+// sRGB channel (0-255) to linear light
+const LINEAR = Array.from({ length: 256 }, (_, value) => {
+  const channel = value / 255;
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+});
+
+// RGBA pixel at i to CIE Lab (D65)
+function toLab(pixels, i) {
+  const r = LINEAR[pixels[i]], g = LINEAR[pixels[i + 1]], b = LINEAR[pixels[i + 2]];
+  const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+  const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+  const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+function deltaE([l1, a1, b1], [l2, a2, b2]) {
+  return Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
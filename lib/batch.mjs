@@ -0,0 +1,165 @@
+/**
+ * Convert many .icon bundles in one run
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { availableParallelism } from 'os';
+
+import { convertIcon } from './convert.mjs';
+
+// Sharp already uses several threads per image, so a few bundles at a time is enough
+export const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, availableParallelism()));
+
+// Directories never searched for bundles
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'output']);
+
+/**
+ * Check whether a path is an .icon bundle (a folder with an icon.json)
+ */
+export async function isIconBundle(folder) {
+  try {
+    await fs.access(path.join(folder, 'icon.json'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Expand paths into the .icon bundles they contain
+ *
+ * Bundles are returned as is; other directories are searched recursively for
+ * `*.icon` bundles (skipping hidden directories, node_modules and output).
+ *
+ * @param {string[]} inputPaths - Bundles and/or directories
+ * @returns {Promise<string[]>} Absolute bundle paths, in a stable order, without duplicates
+ */
+export async function findIconBundles(inputPaths) {
+  const bundles = [];
+
+  async function search(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || SKIPPED_DIRECTORIES.has(entry.name)) continue;
+      const entryPath = path.join(directory, entry.name);
+      if (entry.name.endsWith('.icon') && await isIconBundle(entryPath)) {
+        bundles.push(entryPath);
+      } else {
+        await search(entryPath);
+      }
+    }
+  }
+
+  for (const inputPath of inputPaths) {
+    const resolved = path.resolve(inputPath);
+    const stats = await fs.stat(resolved).catch(() => null);
+    if (!stats?.isDirectory()) {
+      throw new Error(`Not a directory: ${inputPath}`);
+    }
+
+    if (await isIconBundle(resolved)) {
+      bundles.push(resolved);
+    } else {
+      const found = bundles.length;
+      await search(resolved);
+      if (bundles.length === found) {
+        throw new Error(`No .icon bundles found in ${inputPath}`);
+      }
+    }
+  }
+
+  return [...new Set(bundles)];
+}
+
+/**
+ * Convert several bundles, each into <outputRoot>/<bundle name>
+ *
+ * A failing bundle doesn't stop the others; its error is recorded in the results.
+ *
+ * @param {string[]} iconFolders - Paths to .icon bundles
+ * @param {string} outputRoot - Directory that receives one output directory per bundle
+ * @param {number} concurrency - How many bundles to convert at once (default: DEFAULT_CONCURRENCY)
+ * @param {Object} logger - Receives a line per finished bundle through logger.log() (e.g., console)
+ * @param {Object} convertOptions - Passed on to convertIcon() for every bundle
+ * @returns {Promise<Array<{iconFolder, outputDir, ok: boolean, manifest, error, durationMs}>>} In input order
+ */
+export async function convertIcons(iconFolders, outputRoot, {
+  concurrency = DEFAULT_CONCURRENCY,
+  logger = null,
+  ...convertOptions
+} = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Concurrency must be a positive integer (got ${concurrency})`);
+  }
+
+  // Bundles with the same name would write to the same output directory
+  const outputDirs = new Map();
+  for (const iconFolder of iconFolders) {
+    const outputDir = path.join(outputRoot, path.basename(iconFolder, '.icon'));
+    if (outputDirs.has(outputDir)) {
+      throw new Error(`${iconFolder} and ${outputDirs.get(outputDir)} would both be written to ${outputDir}`);
+    }
+    outputDirs.set(outputDir, iconFolder);
+  }
+
+  const jobs = [...outputDirs].map(([outputDir, iconFolder]) => ({ iconFolder, outputDir }));
+  const results = new Array(jobs.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < jobs.length) {
+      const index = next++;
+      const { iconFolder, outputDir } = jobs[index];
+      const started = Date.now();
+      try {
+        const manifest = await convertIcon(iconFolder, outputDir, convertOptions);
+        results[index] = { iconFolder, outputDir, ok: true, manifest, error: null, durationMs: Date.now() - started };
+        logger?.log(`  ✓ ${path.basename(iconFolder)}`);
+      } catch (error) {
+        results[index] = { iconFolder, outputDir, ok: false, manifest: null, error, durationMs: Date.now() - started };
+        logger?.log(`  ✗ ${path.basename(iconFolder)}: ${error.message}`);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+  return results;
+}
+
+/**
+ * Format batch results as a table: bundle, status, files written, time, and output or error
+ */
+export function formatBatchSummary(results) {
+  const rows = results.map(result => [
+    path.basename(result.iconFolder),
+    result.ok ? 'ok' : 'FAILED',
+    result.ok ? String(result.manifest.files.length) : '-',
+    `${(result.durationMs / 1000).toFixed(1)}s`,
+    result.ok ? displayPath(result.outputDir) : result.error.message
+  ]);
+  const header = ['Bundle', 'Status', 'Files', 'Time', 'Output / error'];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map(row => row[column].length)));
+
+  // The last column isn't padded, so long error messages don't widen the table
+  const formatRow = (row) => row
+    .map((cell, column) => column === row.length - 1 ? cell : cell.padEnd(widths[column]))
+    .join('  ');
+
+  const failed = results.filter(result => !result.ok).length;
+  return [
+    formatRow(header),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow),
+    '',
+    `${results.length - failed} converted, ${failed} failed`
+  ].join('\n');
+}
+
+// Paths under the working directory are shown relative to it
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative || '.';
+}
@@ -0,0 +1,200 @@
+/**
+ * Persistent cache of renders and extracted foregrounds, shared across runs
+ *
+ * Entries are content-addressed: the key is a hash of everything the image
+ * depends on (icon.json, the contents of Assets/, the renderer and its
+ * version() (the Xcode version for ictool), rendition, platform and size, the
+ * version of this tool, and for foregrounds the version of the extraction).
+ * Changing any of them makes new entries instead of invalidating old ones,
+ * which are left for pruning. A custom renderer without a version() is keyed
+ * by its name only, so its entries go stale when it changes: empty the cache
+ * then. Each entry is <key>.png with a <key>.json of metadata, in a
+ * subdirectory named after the first two characters of the key. Using an
+ * entry updates its modification time, which pruning goes by.
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+
+const TOOL_VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+
+export const DEFAULT_CACHE_DIR = path.join(
+  process.env.XDG_CACHE_HOME || path.join(homedir(), '.cache'),
+  'convert-apple-icon-composer-to-android-adaptive-icon'
+);
+
+export const DEFAULT_PRUNE_AGE_DAYS = 30;
+
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+/**
+ * Hash what renders of an icon depend on
+ *
+ * @param {string} iconFolder - Path to the .icon folder
+ * @returns {Promise<{iconJson: string, assets: string}>} Hashes of icon.json and of the Assets/ folder
+ *   (file names and contents; the same for a missing and an empty folder)
+ */
+export async function hashIconFolder(iconFolder) {
+  const iconJson = sha256(await fs.readFile(path.join(iconFolder, 'icon.json')));
+
+  const assetsDir = path.join(iconFolder, 'Assets');
+  const assets = createHash('sha256');
+  const files = await fs.readdir(assetsDir, { recursive: true, withFileTypes: true }).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+  const paths = files
+    .filter(entry => entry.isFile())
+    .map(entry => path.relative(assetsDir, path.join(entry.parentPath ?? entry.path, entry.name)))
+    .sort();
+  for (const file of paths) {
+    assets.update(`${file}\0${sha256(await fs.readFile(path.join(assetsDir, file)))}\0`);
+  }
+
+  return { iconJson, assets: assets.digest('hex') };
+}
+
+/**
+ * Open a cache directory (created on the first store)
+ *
+ * @param {string} dir - Cache directory (default: DEFAULT_CACHE_DIR)
+ * @returns {Object} { dir, key(parts), lookup(key, outputPath), store(key, imagePath, metadata) }
+ */
+export function createRenderCache(dir = DEFAULT_CACHE_DIR) {
+  const entryPath = (key, extension) => path.join(dir, key.slice(0, 2), `${key}.${extension}`);
+
+  return {
+    dir,
+
+    /**
+     * Key of an entry: a hash of its parts (JSON-serializable) and the tool version
+     */
+    key(parts) {
+      return sha256(JSON.stringify({ version: TOOL_VERSION, ...parts }));
+    },
+
+    /**
+     * Copy an entry to outputPath
+     *
+     * @returns {Promise<boolean>} Whether the entry was found
+     */
+    async lookup(key, outputPath) {
+      const imagePath = entryPath(key, 'png');
+      try {
+        await fs.copyFile(imagePath, outputPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+      const now = new Date();
+      await fs.utimes(imagePath, now, now).catch(() => {});
+      return true;
+    },
+
+    /**
+     * Add an image to the cache
+     *
+     * Files are written under temporary names and renamed, so concurrent
+     * conversions never read a partial entry. The image goes first: metadata
+     * without an image is left over from an interrupted store.
+     *
+     * @param {Object} metadata - Described in inspectCache() (e.g., { kind, icon, rendition })
+     */
+    async store(key, imagePath, metadata = {}) {
+      await fs.mkdir(path.dirname(entryPath(key, 'png')), { recursive: true });
+      const suffix = `.${process.pid}-${Math.random().toString(36).slice(2)}.tmp`;
+      await fs.copyFile(imagePath, entryPath(key, 'png') + suffix);
+      await fs.rename(entryPath(key, 'png') + suffix, entryPath(key, 'png'));
+      await fs.writeFile(entryPath(key, 'json') + suffix, JSON.stringify({ key, version: TOOL_VERSION, ...metadata, created: new Date().toISOString() }, null, 2) + '\n');
+      await fs.rename(entryPath(key, 'json') + suffix, entryPath(key, 'json'));
+    }
+  };
+}
+
+/**
+ * List the entries of a cache
+ *
+ * @param {string} dir - Cache directory (default: DEFAULT_CACHE_DIR)
+ * @returns {Promise<{dir: string, totalBytes: number, entries: Array<Object>}>} Entries, most recently used
+ *   first: { key, bytes, lastUsed, kind, icon, renderer, rendererVersion, rendition, platform, size, version, created }
+ */
+export async function inspectCache(dir = DEFAULT_CACHE_DIR) {
+  const entries = [];
+  const shards = await fs.readdir(dir).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  for (const shard of shards) {
+    const shardDir = path.join(dir, shard);
+    if (!(await fs.stat(shardDir)).isDirectory()) continue;
+    for (const name of await fs.readdir(shardDir)) {
+      if (!name.endsWith('.png')) continue;
+      const key = name.slice(0, -'.png'.length);
+      const stats = await fs.stat(path.join(shardDir, name)).catch(() => null);
+      if (!stats) continue;
+      const metadata = await fs.readFile(path.join(shardDir, `${key}.json`), 'utf-8').then(JSON.parse, () => ({}));
+      entries.push({ ...metadata, key, bytes: stats.size, lastUsed: stats.mtime.toISOString() });
+    }
+  }
+
+  entries.sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+  return { dir, totalBytes: entries.reduce((total, entry) => total + entry.bytes, 0), entries };
+}
+
+/**
+ * Remove entries that haven't been used for a while, then the least recently
+ * used ones until the cache fits a size
+ *
+ * Also removes files left behind by interrupted stores (after an hour).
+ *
+ * @param {string} dir - Cache directory (default: DEFAULT_CACHE_DIR)
+ * @param {number} maxAgeDays - Remove entries last used longer ago (default: 30; 0 removes everything)
+ * @param {number} maxBytes - Then remove entries until the cache is at most this size (default: no limit)
+ * @returns {Promise<{removed: number, freedBytes: number, remaining: number, remainingBytes: number}>}
+ */
+export async function pruneCache(dir = DEFAULT_CACHE_DIR, { maxAgeDays = DEFAULT_PRUNE_AGE_DAYS, maxBytes = Infinity } = {}) {
+  const { entries, totalBytes } = await inspectCache(dir);
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let remainingBytes = totalBytes;
+  let removed = 0;
+
+  // Entries are most recently used first, so removing from the end goes by age
+  for (let index = entries.length - 1; index >= 0; index--) {
+    const entry = entries[index];
+    if (Date.parse(entry.lastUsed) >= cutoff && remainingBytes <= maxBytes) break;
+    const shardDir = path.join(dir, entry.key.slice(0, 2));
+    await fs.rm(path.join(shardDir, `${entry.key}.png`), { force: true });
+    await fs.rm(path.join(shardDir, `${entry.key}.json`), { force: true });
+    remainingBytes -= entry.bytes;
+    removed++;
+  }
+
+  for (const shard of await fs.readdir(dir).catch(() => [])) {
+    const shardDir = path.join(dir, shard);
+    const names = await fs.readdir(shardDir).catch(() => null);
+    if (!names) continue;
+    for (const name of names) {
+      // Temporary files of a store that may still be running are left alone
+      const stale = name.endsWith('.tmp')
+        ? (await fs.stat(path.join(shardDir, name)).catch(() => null))?.mtimeMs < Date.now() - STALE_TEMP_MS
+        : name.endsWith('.json') && !names.includes(name.replace(/\.json$/, '.png'));
+      if (stale) await fs.rm(path.join(shardDir, name), { force: true });
+    }
+    await fs.rmdir(shardDir).catch(() => {}); // Only succeeds once empty
+  }
+
+  return {
+    removed,
+    freedBytes: totalBytes - remainingBytes,
+    remaining: entries.length - removed,
+    remainingBytes
+  };
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
@@ -0,0 +1,139 @@
+/**
+ * Convert several icons in one run from a JSON config file
+ *
+ * Each entry maps an .icon bundle to a resource base name and the res
+ * directory of a source set, so build flavors (debug, staging, prod...) can
+ * each get their own icon:
+ *
+ * {
+ *   "module": "app",
+ *   "options": { "monochrome": "tinted" },
+ *   "icons": [
+ *     { "icon": "icons/Debug.icon", "sourceSet": "debug" },
+ *     { "icon": "icons/Staging.icon", "sourceSet": "staging", "name": "ic_launcher" },
+ *     { "icon": "icons/Prod.icon", "res": "app/src/main/res", "densities": ["xxhdpi", "xxxhdpi"] }
+ *   ]
+ * }
+ *
+ * Paths are relative to the config file. `sourceSet` resolves to
+ * <module>/src/<sourceSet>/res; `res` sets the directory directly. `name` is
+ * the launcher icon resource name (default: ic_launcher), which the other
+ * resource names derive from. `options` are convertIcon() options for every
+ * entry, and entries can override them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { convertIcon } from './convert.mjs';
+import { resourceNamesForBase, DEFAULT_RESOURCE_NAMES } from './android-resources.mjs';
+
+// convertIcon() options a config file may set
+const CONFIG_OPTIONS = ['renderer', 'prerenderedDir', 'size', 'platform', 'renditions', 'densities', 'night', 'monochrome', 'matting', 'foregroundScaling', 'monochromeScaling', 'vector', 'disableEffects'];
+
+// Keys of an icon entry that aren't convertIcon() options
+const ENTRY_KEYS = ['icon', 'name', 'sourceSet', 'res'];
+
+/**
+ * Read a config file into a list of conversion jobs
+ *
+ * @param {string} configPath - Path to the JSON config file
+ * @returns {Promise<Array<{iconFolder: string, outputDir: string, resDir: string, diagnosticsDir: string, options: Object}>>}
+ *   options are ready to pass to convertIcon() (including resDir and resourceNames); diagnosticsDir is where
+ *   diagnostics go, in the module's build directory (<module>/build/icon-diagnostics/<source set>-<name>)
+ */
+export async function readConversionConfig(configPath) {
+  const configDir = path.dirname(path.resolve(configPath));
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read config ${configPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(config.icons) || config.icons.length === 0) {
+    throw new Error(`Config ${configPath} has no "icons" list`);
+  }
+
+  const sharedOptions = pickOptions(config.options || {}, 'options');
+  const moduleDir = path.resolve(configDir, config.module || '.');
+  const seen = new Map();
+
+  return config.icons.map((entry, index) => {
+    const label = `icons[${index}]`;
+    if (!entry.icon) {
+      throw new Error(`${label}: missing "icon" (path to the .icon bundle)`);
+    }
+    if (Boolean(entry.sourceSet) === Boolean(entry.res)) {
+      throw new Error(`${label}: set either "sourceSet" or "res"`);
+    }
+
+    const resDir = entry.res
+      ? path.resolve(configDir, entry.res)
+      : path.join(moduleDir, 'src', entry.sourceSet, 'res');
+    const baseName = entry.name || DEFAULT_RESOURCE_NAMES.icon;
+
+    // Two icons with the same name in the same res directory would overwrite each other
+    const key = `${resDir}:${baseName}`;
+    if (seen.has(key)) {
+      throw new Error(`${label}: writes ${baseName} to ${resDir}, like icons[${seen.get(key)}]`);
+    }
+    seen.set(key, index);
+
+    const entryOptions = pickOptions(
+      Object.fromEntries(Object.entries(entry).filter(([option]) => !ENTRY_KEYS.includes(option))),
+      label
+    );
+    const options = {
+      ...sharedOptions,
+      ...entryOptions,
+      resDir,
+      resourceNames: resourceNamesForBase(baseName)
+    };
+    if (options.prerenderedDir) {
+      options.prerenderedDir = path.resolve(configDir, options.prerenderedDir);
+    }
+
+    return {
+      iconFolder: path.resolve(configDir, entry.icon),
+      outputDir: path.dirname(resDir),
+      resDir,
+      diagnosticsDir: path.join(moduleDir, 'build', 'icon-diagnostics', `${path.basename(path.dirname(resDir))}-${baseName}`),
+      options
+    };
+  });
+}
+
+/**
+ * Convert every icon listed in a config file, one after another
+ *
+ * @param {string} configPath - Path to the JSON config file
+ * @param {Object} logger - Receives progress messages through logger.log() (e.g., console)
+ * @param {Object} overrides - convertIcon() options applied to every entry (e.g., { renderer: 'js' });
+ *   diagnostics: true writes them to each entry's diagnosticsDir, outside the source set
+ * @returns {Promise<Object[]>} The manifest returned by convertIcon() for each entry
+ */
+export async function convertFromConfig(configPath, { logger = null, ...overrides } = {}) {
+  const jobs = await readConversionConfig(configPath);
+  const manifests = [];
+
+  for (const [index, job] of jobs.entries()) {
+    logger?.log(`[${index + 1}/${jobs.length}] ${path.basename(job.iconFolder)} → ${job.resDir} (${job.options.resourceNames.icon})\n`);
+    const options = { ...job.options, ...overrides, logger };
+    if (options.diagnostics === true) {
+      options.diagnostics = job.diagnosticsDir;
+    }
+    manifests.push(await convertIcon(job.iconFolder, job.outputDir, options));
+  }
+
+  return manifests;
+}
+
+function pickOptions(options, label) {
+  for (const option of Object.keys(options)) {
+    if (!CONFIG_OPTIONS.includes(option)) {
+      throw new Error(`${label}: unknown option "${option}" (expected one of: ${CONFIG_OPTIONS.join(', ')})`);
+    }
+  }
+  return options;
+}
@@ -0,0 +1,534 @@
+/**
+ * Convert Apple Icon Composer .icon files to Android Adaptive Icons
+ *
+ * The conversion:
+ * 1. Exports full icon (background + foreground) using a renderer
+ * 2. Exports background only (by removing groups) using a renderer
+ * 3. Extracts foreground by subtracting background from full image
+ *    With `matting: 'black-white'`, from renders over solid black and white fills instead
+ * 4. Repeats 1-3 for the monochrome (ClearLight) and night-mode (Dark) renditions
+ * 5. Generates Android Adaptive Icon resource structure (XML + PNGs at every density)
+ *    With `vector`, SVG layers are written as vector drawables instead of foreground PNGs
+ * 6. Checks where the foreground and monochrome content ends up (see lib/lint.mjs)
+ *
+ * With `cache`, renders and foregrounds are kept across runs (see lib/cache.mjs),
+ * so steps 1-4 are skipped for an icon that hasn't changed.
+ *
+ * With `disableEffects`, Liquid Glass effects are turned off in every render
+ * (see createWithoutEffectsJson() in lib/icon-utils.mjs), for a flat icon.
+ *
+ * With `diagnostics`, each extraction also writes error, dropped-pixel and
+ * alpha images and a diagnostics.json summary (see lib/diagnostics.mjs).
+ *
+ * Nothing is printed unless a logger is passed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+import { readIconJson, createWithoutEffectsJson } from './icon-utils.mjs';
+import { createRenderer, selectDefaultRenderer } from './renderers.mjs';
+import { renderTintedMask } from './js-renderer.mjs';
+import { extractForeground, matteForeground, prepareForAndroidAdaptiveIcon, EXTRACTION_VERSION } from './image-processor.mjs';
+import {
+  createAndroidResourceStructure,
+  createNightResources,
+  createVectorLayerResources,
+  DENSITIES,
+  DEFAULT_RESOURCE_NAMES
+} from './android-resources.mjs';
+import { convertLayersToVectorDrawables } from './vector-drawable.mjs';
+import { lintLayers } from './lint.mjs';
+import { parseScaling, resolvePlacement } from './scaling.mjs';
+import { createRenderCache, hashIconFolder } from './cache.mjs';
+
+export const MONOCHROME_MODES = ['clear', 'tinted'];
+
+export const MATTING_MODES = ['difference', 'black-white'];
+
+/**
+ * Renditions exported for each variant
+ */
+export const DEFAULT_RENDITIONS = {
+  light: 'Default', // Light appearance
+  monochrome: 'ClearLight', // Monochrome appearance
+  dark: 'Dark' // Dark appearance (night mode)
+};
+
+/**
+ * Convert an .icon folder to Android Adaptive Icon resources
+ *
+ * @param {string} iconFolder - Path to the .icon folder
+ * @param {string} outputDir - Output directory
+ * @param {Object|string} renderer - Renderer backend from lib/renderers.mjs, or its name
+ *   (default: ictool if installed, otherwise js; prerendered if prerenderedDir is set)
+ * @param {string} prerenderedDir - Directory of PNGs exported from Icon Composer (for the prerendered renderer)
+ * @param {number} size - Size of the intermediate renders in pixels (default: 1024)
+ * @param {string} platform - Platform to export for (default: 'iOS')
+ * @param {Object} renditions - Renditions to export, overriding DEFAULT_RENDITIONS
+ * @param {string[]} densities - Density buckets to write (default: mdpi through xxxhdpi)
+ * @param {boolean} night - Also write night-mode variants from the Dark rendition (skipped with a warning when
+ *   the renderer doesn't have it, such as pre-rendered PNGs without Dark.png)
+ * @param {string} monochrome - How to build the monochrome layer:
+ *   'clear' extracts it from ClearLight renders; 'tinted' builds an alpha mask
+ *   from the tinted specializations in icon.json
+ * @param {string} matting - How foregrounds are separated from the background:
+ *   'difference' (default) unmixes the full render from the background render;
+ *   'black-white' solves them exactly from renders over solid black and white
+ *   fills (the renderer must support exportOnSolidFill)
+ * @param {string|Object} foregroundScaling - How the canvas is scaled into the foreground layer (and the night
+ *   foreground and round legacy icon): 'safe-zone' (default), 'full-bleed', 'trim', or { scale, offsetX, offsetY }
+ *   (see lib/scaling.mjs)
+ * @param {string|Object} monochromeScaling - The same for the monochrome layer
+ * @param {boolean} vector - Write SVG layers as vector drawables (PNG for layers that can't be converted)
+ * @param {string[]|Object} disableEffects - Liquid Glass effects to turn off before rendering: names from
+ *   GLASS_EFFECTS (or 'all') for every group, or { <group number or name, or '*'>: [names] };
+ *   needs a renderer that renders the .icon folder (ictool or js)
+ * @param {string} resDir - Resource directory to write into (default: <outputDir>/res)
+ * @param {Object} resourceNames - Resource names, overriding DEFAULT_RESOURCE_NAMES
+ * @param {boolean|string} diagnostics - Write extraction diagnostics into this directory
+ *   (true: <outputDir>/diagnostics); needs difference matting
+ * @param {boolean|string} cache - Reuse renders and foregrounds from earlier runs, and add new ones, in this
+ *   cache directory (true: DEFAULT_CACHE_DIR; see lib/cache.mjs); not used with the prerendered renderer
+ * @param {boolean} keepTemp - Keep the intermediate renders (their directory is returned as tempDir)
+ * @param {Object} backgroundFit - How far the gradient background may be from the render before the render
+ *   is used instead, overriding BACKGROUND_FIT_DEFAULTS (lib/background-fit.mjs)
+ * @param {Object} lintThresholds - Thresholds of the content checks, overriding LINT_DEFAULTS (lib/lint.mjs)
+ * @param {string} workDir - Directory for the intermediate renders instead of a temporary one (kept afterwards)
+ * @param {boolean} reuseBackgrounds - Skip background exports already in workDir
+ *   (for reruns where only Assets changed, since backgrounds don't use them)
+ * @param {Object} logger - Receives progress messages through logger.log() (e.g., console)
+ * @returns {Promise<Object>} Manifest of the conversion:
+ *   { iconFolder, outputDir, resDir, renderer, resourceNames, files, colors, placements, vector, lint, diagnostics, cache, tempDir }
+ *   files lists every file written; colors holds the background layers
+ *   ({ type: 'gradient' or 'bitmap', reason, fit, topColorHex, bottomColorHex, orientation })
+ *   for `background` and `nightBackground`; vector holds { fallbacks, warnings } when vector is set;
+ *   diagnostics holds { dir, passes } (summaries by pass) when diagnostics is set;
+ *   cache holds { dir, hits, stores } when the render cache is used.
+ */
+export async function convertIcon(iconFolder, outputDir, {
+  renderer = null,
+  prerenderedDir = null,
+  size = 1024,
+  platform = 'iOS',
+  renditions: renditionOverrides = {},
+  densities = Object.keys(DENSITIES),
+  night = true,
+  monochrome = 'clear',
+  matting = 'difference',
+  foregroundScaling = 'safe-zone',
+  monochromeScaling = 'safe-zone',
+  vector = false,
+  disableEffects = null,
+  resDir = path.join(outputDir, 'res'),
+  resourceNames: nameOverrides = {},
+  diagnostics = false,
+  cache = false,
+  keepTemp = false,
+  lintThresholds = {},
+  backgroundFit = {},
+  workDir = null,
+  reuseBackgrounds = false,
+  logger = null
+} = {}) {
+  if (!MONOCHROME_MODES.includes(monochrome)) {
+    throw new Error(`Unknown monochrome mode: ${monochrome} (expected one of: ${MONOCHROME_MODES.join(', ')})`);
+  }
+  if (!MATTING_MODES.includes(matting)) {
+    throw new Error(`Unknown matting mode: ${matting} (expected one of: ${MATTING_MODES.join(', ')})`);
+  }
+  if (diagnostics && matting !== 'difference') {
+    throw new Error('Extraction diagnostics need difference matting');
+  }
+  if (backgroundFit.maxDeltaE !== undefined && !(backgroundFit.maxDeltaE >= 0)) {
+    throw new Error(`Invalid background tolerance: ${backgroundFit.maxDeltaE} (expected a ΔE of 0 or more)`);
+  }
+  foregroundScaling = parseScaling(foregroundScaling);
+  monochromeScaling = parseScaling(monochromeScaling);
+
+  const log = (message) => logger?.log(message);
+  const renditions = { ...DEFAULT_RENDITIONS, ...renditionOverrides };
+  const resourceNames = { ...DEFAULT_RESOURCE_NAMES, ...nameOverrides };
+  for (const [key, name] of Object.entries(resourceNames)) {
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid resource name for ${key}: ${name} (use lowercase letters, digits and underscores)`);
+    }
+  }
+  const exportOptions = (rendition) => ({ width: size, height: size, platform, rendition });
+
+  renderer = await resolveRenderer(renderer, { prerenderedDir, disableEffects }, log);
+  if (matting === 'black-white' && !renderer.exportOnSolidFill) {
+    throw new Error(`Renderer ${renderer.name} can't export over solid fills, which black-white matting needs`);
+  }
+
+  log(`Converting icon from: ${iconFolder}`);
+  log(`Output directory: ${outputDir}`);
+  log(`Renderer: ${renderer.name}\n`);
+
+  // Ensure output directory exists
+  await fs.mkdir(outputDir, { recursive: true });
+
+  // Read original icon.json (as rendered, so vector layers don't report the effects that were turned off)
+  const iconData = await readIconJson(iconFolder);
+  const originalIconData = disableEffects ? createWithoutEffectsJson(iconData, disableEffects) : iconData;
+
+  // Create temporary directory for intermediate images
+  const keepIntermediates = keepTemp || Boolean(workDir);
+  const tempDir = workDir ?? await fs.mkdtemp(path.join(tmpdir(), 'icon-convert-'));
+  await fs.mkdir(tempDir, { recursive: true });
+
+  const diagnosticsDir = diagnostics === true ? path.join(outputDir, 'diagnostics') : diagnostics || null;
+  const diagnosticsPasses = {};
+  if (diagnosticsDir) {
+    await fs.mkdir(diagnosticsDir, { recursive: true });
+  }
+
+  // The prerendered renderer only copies files, which the icon's contents don't identify
+  const renderCache = cache && renderer.name !== 'prerendered'
+    ? createRenderCache(cache === true ? undefined : cache)
+    : null;
+  const iconHashes = renderCache && await hashIconFolder(iconFolder);
+  const rendererVersion = renderCache && await renderer.version?.() || null;
+  const cacheStats = { hits: 0, stores: 0 };
+  const made = new Set(); // Paths already made in this run
+
+  // Cache key of a render; backgrounds don't use the assets
+  const renderKey = (kind, rendition) => renderCache.key({
+    kind,
+    renderer: renderer.name,
+    rendererVersion,
+    rendition,
+    platform,
+    size,
+    iconJson: iconHashes.iconJson,
+    assets: kind === 'background' ? null : iconHashes.assets,
+    ...(disableEffects && { effects: disableEffects })
+  });
+
+  // Make an image once per run, copying it from the cache if it's there (make() returns false when it
+  // reused an existing file, which isn't stored)
+  const cached = async (key, outputPath, metadata, make) => {
+    if (made.has(outputPath)) return 'made';
+    made.add(outputPath);
+    if (key && await renderCache.lookup(key, outputPath)) {
+      cacheStats.hits++;
+      return 'cached';
+    }
+    if (await make() === false) return 'reused';
+    if (key) {
+      await renderCache.store(key, outputPath, { icon: path.basename(iconFolder), renderer: renderer.name, rendererVersion, platform, size, ...metadata });
+      cacheStats.stores++;
+    }
+    return 'made';
+  };
+
+  // Render a rendition: 'full', 'background' (reused from an earlier run with reuseBackgrounds),
+  // or 'black'/'white' (the full icon over a solid fill)
+  const render = (kind, rendition, outputPath) => cached(renderCache && renderKey(kind, rendition), outputPath, { kind, rendition }, async () => {
+    if (kind === 'full') {
+      await renderer.exportFull(iconFolder, outputPath, exportOptions(rendition));
+    } else if (kind === 'background') {
+      if (reuseBackgrounds && await fs.access(outputPath).then(() => true, () => false)) {
+        return false;
+      }
+      await renderer.exportBackground(iconFolder, outputPath, exportOptions(rendition));
+    } else {
+      await renderer.exportOnSolidFill(iconFolder, outputPath, exportOptions(rendition), kind);
+    }
+  });
+
+  // Extract the foreground of a pass ('foreground', 'monochrome' or 'dark') from [<pass>-]full.png and
+  // background.png, or black.png and white.png with black-white matting, rendering them as needed.
+  // Foregrounds are cached too, unless diagnostics are written
+  const extractLayer = (pass, rendition, outputPath) => {
+    const inputs = matting === 'black-white' ? ['black', 'white'] : ['full', 'background'];
+    const [firstPath, secondPath] = inputs.map(kind => path.join(tempDir, `${pass === 'foreground' ? '' : `${pass}-`}${kind}.png`));
+    const key = renderCache && !diagnosticsDir
+      && renderCache.key({
+        kind: 'foreground',
+        matting,
+        extraction: EXTRACTION_VERSION,
+        inputs: inputs.map(kind => renderKey(kind, rendition))
+      });
+
+    return cached(key, outputPath, { kind: 'foreground', rendition, matting }, async () => {
+      await render(inputs[0], rendition, firstPath);
+      await render(inputs[1], rendition, secondPath);
+      if (matting === 'black-white') {
+        await matteForeground(firstPath, secondPath, outputPath);
+        return;
+      }
+
+      const summary = await extractForeground(firstPath, secondPath, outputPath, {
+        diagnostics: diagnosticsDir && path.join(diagnosticsDir, pass)
+      });
+      if (summary) {
+        diagnosticsPasses[pass] = summary;
+        log(`  Diagnostics: mean error ${summary.error.mean}, max ${summary.error.max}, ` +
+          `${summary.semiTransparentPixels} semi-transparent and ${summary.droppedPixels} pixels dropped as noise`);
+      }
+    });
+  };
+
+  // Temporary paths for intermediate images
+  const tempFullPath = path.join(tempDir, 'full.png');
+  const tempBackgroundPath = path.join(tempDir, 'background.png');
+  const tempForegroundPath = path.join(tempDir, 'foreground.png');
+  const tempMonochromeForegroundPath = path.join(tempDir, 'monochrome-foreground.png');
+  const tempDarkBackgroundPath = path.join(tempDir, 'dark-background.png');
+  const tempDarkForegroundPath = path.join(tempDir, 'dark-foreground.png');
+  const fromCache = (result, message) => result === 'cached' ? '  ✓ Taken from the render cache\n' : message;
+
+  try {
+    // Step 1: Export full icon (background + foreground)
+    log('Step 1/6: Exporting full icon...');
+    log(fromCache(await render('full', renditions.light, tempFullPath), '  ✓ Full icon exported\n'));
+
+    // Step 2: Create background-only version
+    log('Step 2/6: Exporting background only...');
+    const background = await render('background', renditions.light, tempBackgroundPath);
+    log(fromCache(background, background === 'reused' ? '  ✓ Background reused\n' : '  ✓ Background exported\n'));
+
+    // Step 3: Extract foreground by subtracting background from full
+    log(matting === 'black-white' ? 'Step 3/6: Extracting foreground (black-white matting)...' : 'Step 3/6: Extracting foreground...');
+    log(fromCache(await extractLayer('foreground', renditions.light, tempForegroundPath), '  ✓ Foreground extracted\n'));
+
+    // Step 4: Export and extract monochrome foreground
+    if (monochrome === 'tinted') {
+      // Build an alpha mask from the tinted fills in icon.json
+      log('Step 4/6: Building monochrome mask from tinted specializations...');
+      await renderTintedMask(iconFolder, tempMonochromeForegroundPath, {
+        width: size,
+        height: size,
+        platform
+      });
+      log('  ✓ Monochrome mask built\n');
+    } else {
+      log('Step 4/6: Exporting monochrome icon...');
+      log(fromCache(await extractLayer('monochrome', renditions.monochrome, tempMonochromeForegroundPath), '  ✓ Monochrome foreground extracted\n'));
+    }
+
+    // Step 5: Export and extract dark (night mode) foreground
+    if (night && renderer.hasRendition && !(await renderer.hasRendition(renditions.dark))) {
+      log(`Step 5/6: Exporting dark icon... skipped\n  ⚠ Renderer ${renderer.name} has no ${renditions.dark} rendition, so no night-mode variants are written\n`);
+      night = false;
+    } else if (night) {
+      log('Step 5/6: Exporting dark icon...');
+      // The dark background is needed either way, for the night background colors
+      await render('background', renditions.dark, tempDarkBackgroundPath);
+      log(fromCache(await extractLayer('dark', renditions.dark, tempDarkForegroundPath), '  ✓ Dark foreground extracted\n'));
+    } else {
+      log('Step 5/6: Exporting dark icon... skipped (light only)\n');
+    }
+
+    // Step 6: Generate Android Adaptive Icon resource structure
+    // Layers are scaled into their placement in a 108dp canvas (by default the 66dp safe area) at each density
+    log(`Step 6/6: Generating Android resources (${densities.join(', ')})...`);
+    const files = [];
+    const placements = {
+      foreground: await resolvePlacement(foregroundScaling, tempForegroundPath),
+      monochrome: await resolvePlacement(monochromeScaling, tempMonochromeForegroundPath)
+    };
+
+    let vectorResources = null;
+    if (vector) {
+      vectorResources = await writeVectorForegrounds(iconFolder, outputDir, originalIconData, {
+        densities,
+        night,
+        monochrome,
+        platform,
+        resDir,
+        resourceNames,
+        placements,
+        log
+      });
+      files.push(...vectorResources.files);
+    }
+
+    const resources = await createAndroidResourceStructure(
+      outputDir,
+      originalIconData,
+      tempFullPath,
+      tempBackgroundPath, // Use unpadded background for color sampling
+      tempForegroundPath,
+      tempMonochromeForegroundPath,
+      {
+        densities,
+        resDir,
+        names: resourceNames,
+        foregroundDrawable: vectorResources?.foreground,
+        monochromeDrawable: vectorResources?.monochrome,
+        foregroundPlacement: placements.foreground,
+        monochromePlacement: placements.monochrome,
+        backgroundFit
+      }
+    );
+    files.push(...resources.files);
+
+    let nightResources = null;
+    if (night) {
+      nightResources = await createNightResources(
+        outputDir,
+        originalIconData,
+        tempDarkBackgroundPath,
+        tempDarkForegroundPath,
+        {
+          densities,
+          resDir,
+          names: resourceNames,
+          vectorForeground: Boolean(vectorResources?.foreground),
+          foregroundPlacement: placements.foreground,
+          backgroundFit
+        }
+      );
+      files.push(...nightResources.files);
+    }
+    for (const [label, background] of [['Background', resources.background], ['Night background', nightResources?.background]]) {
+      if (background?.type === 'bitmap') {
+        log(`  ⚠ ${label} written as PNGs: ${background.reason}`);
+      }
+    }
+    log('  ✓ Android resources created\n');
+
+    // Check the layers as placed in the 108dp canvas (at xxxhdpi)
+    log('Checking layer content...');
+    const tempForegroundLayerPath = path.join(tempDir, 'foreground-layer.png');
+    const tempMonochromeLayerPath = path.join(tempDir, 'monochrome-layer.png');
+    await prepareForAndroidAdaptiveIcon(tempForegroundPath, tempForegroundLayerPath, 432, placements.foreground);
+    await prepareForAndroidAdaptiveIcon(tempMonochromeForegroundPath, tempMonochromeLayerPath, 432, placements.monochrome);
+    const lint = await lintLayers({
+      foreground: tempForegroundLayerPath,
+      monochrome: tempMonochromeLayerPath
+    }, lintThresholds);
+    for (const warning of lint.warnings) {
+      log(`  ⚠ ${warning.layer}: ${warning.message}`);
+    }
+    const warningCount = lint.warnings.length;
+    log(lint.passed
+      ? '  ✓ Content is inside the safe zone\n'
+      : `  ✗ Content check failed (${warningCount} warning${warningCount > 1 ? 's' : ''})\n`);
+
+    if (diagnosticsDir) {
+      await fs.writeFile(path.join(diagnosticsDir, 'diagnostics.json'), JSON.stringify(diagnosticsPasses, null, 2) + '\n');
+    }
+
+    return {
+      iconFolder,
+      outputDir,
+      resDir,
+      renderer: renderer.name,
+      resourceNames,
+      files,
+      colors: {
+        background: resources.background,
+        nightBackground: nightResources?.background ?? null
+      },
+      placements,
+      vector: vectorResources && {
+        fallbacks: vectorResources.fallbacks,
+        warnings: vectorResources.warnings
+      },
+      lint,
+      diagnostics: diagnosticsDir && { dir: diagnosticsDir, passes: diagnosticsPasses },
+      cache: renderCache && { dir: renderCache.dir, ...cacheStats },
+      tempDir: keepIntermediates ? tempDir : null
+    };
+  } finally {
+    if (!keepIntermediates) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Turn the renderer option into a verified renderer
+ */
+export async function resolveRenderer(renderer, { prerenderedDir = null, disableEffects = null } = {}, log = () => {}) {
+  if (renderer && typeof renderer === 'object') {
+    if (disableEffects) {
+      throw new Error('disableEffects needs a renderer name; for a renderer object, pass it to createRenderer() instead');
+    }
+    return renderer;
+  }
+
+  const rendererName = renderer || (prerenderedDir ? 'prerendered' : null);
+  if (!rendererName) {
+    const { renderer: defaultRenderer, fallbackReason } = await selectDefaultRenderer({ disableEffects });
+    if (fallbackReason) {
+      log(`${fallbackReason}\nFalling back to the JavaScript renderer.\n`);
+    }
+    return defaultRenderer;
+  }
+
+  const namedRenderer = createRenderer(rendererName, { prerenderedDir, disableEffects });
+  await namedRenderer.verify();
+  return namedRenderer;
+}
+
+/**
+ * Write the foreground layers (and the tinted monochrome and night variants)
+ * as vector drawables
+ *
+ * Layers that can't be converted are logged, and become PNG items in a
+ * layer-list. If no layer converts at all, nothing is written and the regular
+ * PNG foregrounds are used (foreground is null).
+ *
+ * @returns {Promise<{foreground: string|null, monochrome: string|null, files: string[], fallbacks: Object[], warnings: string[]}>}
+ */
+async function writeVectorForegrounds(iconFolder, outputDir, iconData, {
+  densities,
+  night,
+  monochrome,
+  platform,
+  resDir,
+  resourceNames,
+  placements,
+  log
+}) {
+  const foregroundOptions = { placement: placements.foreground };
+  const foreground = await convertLayersToVectorDrawables(iconFolder, iconData, { ...foregroundOptions, platform });
+  const result = {
+    foreground: null,
+    monochrome: null,
+    files: [],
+    fallbacks: foreground.fallbacks,
+    warnings: foreground.warnings
+  };
+
+  for (const { layer, reasons } of foreground.fallbacks) {
+    log(`  ! ${layer}: kept as PNG (${reasons.join(', ')})`);
+  }
+  for (const warning of foreground.warnings) {
+    log(`  ! ${warning}`);
+  }
+
+  if (!foreground.runs.some(run => run.type === 'vector')) {
+    log('  No layers could be converted to vector drawables; using PNG foregrounds');
+    return result;
+  }
+
+  const writeLayers = async (conversion, name, options = {}) => {
+    const resources = await createVectorLayerResources(outputDir, iconFolder, conversion, name, { ...options, densities, resDir });
+    result.files.push(...resources.files);
+    return resources.reference;
+  };
+
+  result.foreground = await writeLayers(foreground, resourceNames.foreground, foregroundOptions);
+
+  // Only the tinted monochrome mode can be expressed as vectors;
+  // the ClearLight rendition is kept as a PNG
+  if (monochrome === 'tinted') {
+    const options = { appearance: 'tinted', monochrome: true, placement: placements.monochrome };
+    const conversion = await convertLayersToVectorDrawables(iconFolder, iconData, { ...options, platform });
+    result.monochrome = await writeLayers(conversion, resourceNames.monochrome, options);
+  }
+
+  if (night) {
+    const options = { ...foregroundOptions, appearance: 'dark' };
+    const conversion = await convertLayersToVectorDrawables(iconFolder, iconData, { ...options, platform });
+    await writeLayers(conversion, resourceNames.foreground, { ...options, qualifier: 'night' });
+  }
+
+  return result;
+}
@@ -0,0 +1,110 @@
+/**
+ * Diagnostics of a foreground extraction
+ *
+ * Shows why a foreground has fringes or holes, by comparing it with the
+ * renders it was extracted from. For an output prefix (e.g., diagnostics/foreground)
+ * it writes:
+ * - <prefix>-error.png: how far the foreground, composited back over the
+ *   background, is from the full render (black is exact; red to yellow, saturating
+ *   at UNMIX_THRESHOLD levels)
+ * - <prefix>-dropped.png: pixels that differ from the background by at least
+ *   UNMIX_THRESHOLD but were made transparent by the noise heuristic (see unmixPixels() in lib/unmix.mjs; magenta, over a dimmed
+ *   full render)
+ * - <prefix>-alpha.png: the alpha of the foreground (grayscale)
+ */
+
+import sharp from 'sharp';
+
+import { UNMIX_THRESHOLD } from './unmix.mjs';
+
+// Brightness of the full render behind the dropped pixels
+const DROPPED_BACKDROP = 0.25;
+
+/**
+ * Write diagnostics images of an extraction and summarize it
+ *
+ * @param {string} outputPrefix - Path prefix of the images
+ * @param {Object} pixels - { full, background, foreground, width, height }, RGBA pixels of the renders and the result
+ * @returns {Promise<Object>} Summary: { width, height, threshold, contentPixels, foregroundPixels, opaquePixels,
+ *   semiTransparentPixels, droppedPixels, error: { mean, max }, images: { error, dropped, alpha } }.
+ *   Content pixels differ from the background; errors (0-255) are over them. Dropped pixels are content
+ *   pixels at or above the threshold that the noise heuristic made transparent (pixels below it are
+ *   background).
+ */
+export async function writeExtractionDiagnostics(outputPrefix, { full, background, foreground, width, height }) {
+  const pixels = width * height;
+  const errorImage = Buffer.alloc(pixels * 3);
+  const droppedImage = Buffer.alloc(pixels * 3);
+  const alphaImage = Buffer.alloc(pixels);
+
+  let contentPixels = 0, foregroundPixels = 0, opaquePixels = 0, droppedPixels = 0;
+  let errorSum = 0, errorMax = 0;
+
+  for (let pixel = 0; pixel < pixels; pixel++) {
+    const i = pixel * 4;
+    const alpha = foreground[i + 3];
+    const coverage = alpha / 255;
+
+    let difference = Math.abs(full[i + 3] - background[i + 3]);
+    let error = 0;
+    for (let channel = 0; channel < 3; channel++) {
+      difference = Math.max(difference, Math.abs(full[i + channel] - background[i + channel]));
+      const recomposed = coverage * foreground[i + channel] + (1 - coverage) * background[i + channel];
+      error = Math.max(error, Math.abs(recomposed - full[i + channel]));
+    }
+
+    if (difference > 0) {
+      contentPixels++;
+      errorSum += error;
+      errorMax = Math.max(errorMax, error);
+    }
+    if (alpha > 0) foregroundPixels++;
+    if (alpha === 255) opaquePixels++;
+
+    // Red to yellow as the error grows
+    const heat = Math.min(1, error / UNMIX_THRESHOLD);
+    errorImage[pixel * 3] = Math.round(255 * Math.min(1, heat * 2));
+    errorImage[pixel * 3 + 1] = Math.round(255 * Math.max(0, heat * 2 - 1));
+
+    if (difference >= UNMIX_THRESHOLD && alpha === 0) {
+      droppedPixels++;
+      droppedImage[pixel * 3] = 255;
+      droppedImage[pixel * 3 + 2] = 255;
+    } else {
+      for (let channel = 0; channel < 3; channel++) {
+        droppedImage[pixel * 3 + channel] = Math.round(full[i + channel] * DROPPED_BACKDROP);
+      }
+    }
+
+    alphaImage[pixel] = alpha;
+  }
+
+  const images = {
+    error: `${outputPrefix}-error.png`,
+    dropped: `${outputPrefix}-dropped.png`,
+    alpha: `${outputPrefix}-alpha.png`
+  };
+  await sharp(errorImage, { raw: { width, height, channels: 3 } }).png().toFile(images.error);
+  await sharp(droppedImage, { raw: { width, height, channels: 3 } }).png().toFile(images.dropped);
+  await sharp(alphaImage, { raw: { width, height, channels: 1 } }).png().toFile(images.alpha);
+
+  return {
+    width,
+    height,
+    threshold: UNMIX_THRESHOLD,
+    contentPixels,
+    foregroundPixels,
+    opaquePixels,
+    semiTransparentPixels: foregroundPixels - opaquePixels,
+    droppedPixels,
+    error: {
+      mean: contentPixels > 0 ? round(errorSum / contentPixels) : 0,
+      max: round(errorMax)
+    },
+    images
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,519 @@
+/**
+ * Render Android drawable XML, to check generated resources without a device
+ *
+ * Covers the drawables this tool writes and the common ones around them:
+ * <vector> (groups, clip paths, solid and gradient fills and strokes),
+ * <layer-list>, <inset>, <shape> (rectangles and ovals with a solid or
+ * gradient fill, corners and a stroke), <bitmap>, <color> and <adaptive-icon>
+ * (its background and foreground, unmasked). The drawable is translated into
+ * one SVG, with each child drawable in a nested <svg> for its bounds and
+ * bitmaps embedded as data URLs, and rasterized by sharp. Anything else
+ * throws, rather than rendering something a device wouldn't.
+ *
+ * References to other drawables (@drawable/name, @mipmap/name) are resolved in
+ * the res directory like a device would: night-qualified directories first
+ * when rendering for night, then the densest bucket.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+import { DENSITIES } from './android-resources.mjs';
+import { parseXml } from './vector-drawable.mjs';
+
+// Adaptive icon layers are 108dp, which is what a render spans by default
+const LAYER_SIZE_DP = 108;
+
+// File types of referenced resources, in order of preference
+const RESOURCE_EXTENSIONS = ['png', 'webp', 'xml'];
+
+const SYSTEM_COLORS = {
+  '@android:color/transparent': '#00000000',
+  '@android:color/black': '#ff000000',
+  '@android:color/white': '#ffffffff'
+};
+
+const TILE_MODES = { clamp: 'pad', repeat: 'repeat', mirror: 'reflect' };
+const LINE_CAPS = { butt: 'butt', round: 'round', square: 'square' };
+const LINE_JOINS = { miter: 'miter', round: 'round', bevel: 'bevel' };
+
+// <shape> gradient angles to start and end points in the unit square
+const GRADIENT_ANGLES = {
+  0: [0, 0, 1, 0],
+  45: [0, 1, 1, 0],
+  90: [0, 1, 0, 0],
+  135: [1, 1, 0, 0],
+  180: [1, 0, 0, 0],
+  225: [1, 0, 0, 1],
+  270: [0, 0, 0, 1],
+  315: [0, 0, 1, 1]
+};
+
+/**
+ * Render a drawable resource file (XML, PNG or WebP) to a square PNG
+ *
+ * @param {string} file - Path of the resource, e.g. res/drawable/ic_launcher_background.xml
+ * @param {number} size - Width and height of the render in pixels
+ * @param {string} resDir - Where references are resolved (default: the parent of the file's directory)
+ * @param {boolean} night - Prefer night-qualified resources for references
+ * @param {number} sizeDp - Size of the render in dp, for dimensions such as insets (default: 108, an adaptive icon layer)
+ * @returns {Promise<Buffer>} PNG of size x size
+ */
+export async function renderDrawable(file, size, {
+  resDir = path.dirname(path.dirname(file)),
+  night = false,
+  sizeDp = LAYER_SIZE_DP
+} = {}) {
+  const context = { resDir, night, pixelsPerDp: size / sizeDp, definitions: [], files: [] };
+  const content = await drawableFileToSvg(file, size, size, context);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size}" height="${size}">` +
+    `<defs>${context.definitions.join('')}</defs>${content}</svg>`;
+
+  return sharp(Buffer.from(svg), { density: 72 })
+    .resize(size, size, { fit: 'fill' })
+    .ensureAlpha()
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Find the file of a drawable or mipmap resource
+ *
+ * @param {string} resDir - Resource directory
+ * @param {Object} reference - { type: 'drawable' | 'mipmap', name }
+ * @param {boolean} night - Look in night-qualified directories first
+ * @returns {Promise<{file: string, night: boolean}>} night is set when the file is night-qualified
+ */
+export async function findResourceFile(resDir, { type, name }, night = false) {
+  const densities = Object.keys(DENSITIES).sort((a, b) => DENSITIES[b] - DENSITIES[a]);
+  for (const qualifier of night ? ['night', null] : [null]) {
+    const prefix = qualifier ? `${type}-${qualifier}` : type;
+    for (const directory of [...densities.map(density => `${prefix}-${density}`), prefix]) {
+      for (const extension of RESOURCE_EXTENSIONS) {
+        const file = path.join(resDir, directory, `${name}.${extension}`);
+        if (await fs.access(file).then(() => true, () => false)) {
+          return { file, night: qualifier === 'night' };
+        }
+      }
+    }
+  }
+  throw new Error(`@${type}/${name} not found in ${resDir}`);
+}
+
+/**
+ * SVG content drawing a resource file over width x height
+ */
+async function drawableFileToSvg(file, width, height, context) {
+  if (context.files.includes(file)) {
+    throw new Error(`Can't render ${file}: it references itself`);
+  }
+
+  if (path.extname(file).toLowerCase() !== '.xml') {
+    return bitmapToSvg(file, width, height);
+  }
+
+  const root = parseXml(await fs.readFile(file, 'utf-8')).children[0];
+  if (!root) {
+    throw new Error(`Can't render ${file}: no root element`);
+  }
+  context.files.push(file);
+  try {
+    return await drawableToSvg(root, width, height, context);
+  } catch (error) {
+    throw error.message.startsWith("Can't render") ? error : new Error(`Can't render ${file}: ${error.message}`);
+  } finally {
+    context.files.pop();
+  }
+}
+
+/**
+ * SVG content drawing a drawable element over width x height
+ */
+async function drawableToSvg(element, width, height, context) {
+  switch (element.name) {
+    case 'vector':
+      return vectorToSvg(element, width, height, context);
+    case 'layer-list':
+      return layerListToSvg(element, width, height, context);
+    case 'inset':
+      return insetToSvg(element, width, height, context);
+    case 'shape':
+      return shapeToSvg(element, width, height, context);
+    case 'bitmap':
+      return bitmapElementToSvg(element, width, height, context);
+    case 'color':
+      return `<rect width="${width}" height="${height}" ${paint('fill', parseColor(element.attributes['android:color']))}/>`;
+    case 'adaptive-icon': {
+      const layers = [];
+      for (const layer of ['background', 'foreground']) {
+        const child = element.children.find(candidate => candidate.name === layer);
+        if (child) layers.push(await childDrawableToSvg(child, width, height, context));
+      }
+      return layers.join('');
+    }
+    default:
+      throw new Error(`<${element.name}> drawables aren't supported`);
+  }
+}
+
+/**
+ * SVG content of the drawable an element holds: an android:drawable reference, or a drawable child element
+ */
+async function childDrawableToSvg(element, width, height, context) {
+  const reference = element.attributes['android:drawable'];
+  if (reference) {
+    return drawableFileToSvg((await resolveReference(reference, context)).file, width, height, context);
+  }
+
+  const child = element.children.find(candidate => !candidate.name.includes(':'));
+  return child ? drawableToSvg(child, width, height, context) : '';
+}
+
+async function resolveReference(reference, context) {
+  const match = reference.match(/^@(drawable|mipmap)\/(\w+)$/);
+  if (!match) {
+    throw new Error(`unsupported reference ${reference}`);
+  }
+  return findResourceFile(context.resDir, { type: match[1], name: match[2] }, context.night);
+}
+
+/**
+ * <layer-list>: items drawn in order, each inset by android:left/top/right/bottom
+ */
+async function layerListToSvg(element, width, height, context) {
+  const layers = [];
+  for (const item of element.children.filter(child => child.name === 'item')) {
+    for (const attribute of ['android:width', 'android:height', 'android:gravity']) {
+      if (item.attributes[attribute] !== undefined) {
+        throw new Error(`${attribute} on layer-list items isn't supported`);
+      }
+    }
+    const dimension = (name, fallback) => parseDimension(item.attributes[`android:${name}`] ?? item.attributes[`android:${fallback}`] ?? '0', context);
+    layers.push(await placedDrawableToSvg(item, width, height, {
+      left: dimension('left', 'start'),
+      top: dimension('top', 'top'),
+      right: dimension('right', 'end'),
+      bottom: dimension('bottom', 'bottom')
+    }, context));
+  }
+  return layers.join('');
+}
+
+/**
+ * <inset>: the drawable shrunk by dimensions, or fractions of the bounds
+ */
+async function insetToSvg(element, width, height, context) {
+  const { attributes } = element;
+  const inset = (side, size) => {
+    const value = attributes[`android:inset${side}`] ?? attributes['android:inset'] ?? '0';
+    return value.endsWith('%') ? parseFloat(value) / 100 * size : parseDimension(value, context);
+  };
+  return placedDrawableToSvg(element, width, height, {
+    left: inset('Left', width),
+    top: inset('Top', height),
+    right: inset('Right', width),
+    bottom: inset('Bottom', height)
+  }, context);
+}
+
+/**
+ * The child drawable of an element in a nested <svg> for its inset bounds
+ */
+async function placedDrawableToSvg(element, width, height, { left, top, right, bottom }, context) {
+  const innerWidth = width - left - right;
+  const innerHeight = height - top - bottom;
+  if (innerWidth <= 0 || innerHeight <= 0) return '';
+  const content = await childDrawableToSvg(element, innerWidth, innerHeight, context);
+  return `<svg x="${left}" y="${top}" width="${innerWidth}" height="${innerHeight}" overflow="visible">${content}</svg>`;
+}
+
+/**
+ * <bitmap>: a bitmap resource scaled to the bounds (the default fill gravity)
+ */
+async function bitmapElementToSvg(element, width, height, context) {
+  const { attributes } = element;
+  for (const attribute of ['android:gravity', 'android:tileMode', 'android:tint']) {
+    if (attributes[attribute] !== undefined && !(attribute === 'android:gravity' && attributes[attribute] === 'fill')) {
+      throw new Error(`${attribute} on <bitmap> isn't supported`);
+    }
+  }
+  const { file } = await resolveReference(attributes['android:src'] ?? '', context);
+  return bitmapToSvg(file, width, height);
+}
+
+async function bitmapToSvg(file, width, height) {
+  // PNGs are embedded as they are; librsvg only decodes PNG and JPEG
+  const png = path.extname(file).toLowerCase() === '.png'
+    ? await fs.readFile(file)
+    : await sharp(file).png().toBuffer();
+  return `<image width="${width}" height="${height}" preserveAspectRatio="none" xlink:href="data:image/png;base64,${png.toString('base64')}"/>`;
+}
+
+/**
+ * <shape>: a rectangle (optionally rounded) or oval, filled and stroked
+ *
+ * Like GradientDrawable, the stroke is drawn inside the bounds.
+ */
+function shapeToSvg(element, width, height, context) {
+  const shape = element.attributes['android:shape'] ?? 'rectangle';
+  if (shape !== 'rectangle' && shape !== 'oval') {
+    throw new Error(`android:shape="${shape}" isn't supported`);
+  }
+
+  const child = (name) => element.children.find(candidate => candidate.name === name);
+  const solid = child('solid');
+  const gradient = child('gradient');
+  const stroke = child('stroke');
+  const corners = child('corners');
+
+  let fill = 'fill="none"';
+  if (gradient) {
+    fill = paint('fill', { color: `url(#${shapeGradient(gradient, width, height, context)})`, opacity: 1 });
+  } else if (solid) {
+    fill = paint('fill', parseColor(solid.attributes['android:color']));
+  }
+
+  let strokeAttributes = '';
+  let strokeWidth = 0;
+  if (stroke) {
+    if (stroke.attributes['android:dashWidth'] && parseFloat(stroke.attributes['android:dashWidth']) > 0) {
+      throw new Error('dashed <stroke> isn\'t supported');
+    }
+    strokeWidth = parseDimension(stroke.attributes['android:width'] ?? '0', context);
+    if (strokeWidth > 0) {
+      strokeAttributes = ` ${paint('stroke', parseColor(stroke.attributes['android:color'] ?? '#00000000'))} stroke-width="${strokeWidth}"`;
+    }
+  }
+
+  const x = strokeWidth / 2, y = strokeWidth / 2;
+  const w = width - strokeWidth, h = height - strokeWidth;
+  if (shape === 'oval') {
+    return `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${w / 2}" ry="${h / 2}" ${fill}${strokeAttributes}/>`;
+  }
+
+  const attributes = corners?.attributes ?? {};
+  const radius = (corner) => {
+    const value = attributes[`android:${corner}Radius`] ?? attributes['android:radius'] ?? '0';
+    return Math.min(parseDimension(value, context), w / 2, h / 2);
+  };
+  const [topLeft, topRight, bottomRight, bottomLeft] = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'].map(radius);
+  const d = `M${x + topLeft},${y}H${x + w - topRight}A${topRight},${topRight},0,0,1,${x + w},${y + topRight}` +
+    `V${y + h - bottomRight}A${bottomRight},${bottomRight},0,0,1,${x + w - bottomRight},${y + h}` +
+    `H${x + bottomLeft}A${bottomLeft},${bottomLeft},0,0,1,${x},${y + h - bottomLeft}` +
+    `V${y + topLeft}A${topLeft},${topLeft},0,0,1,${x + topLeft},${y}Z`;
+  return `<path d="${d}" ${fill}${strokeAttributes}/>`;
+}
+
+/**
+ * Define the gradient of a <shape> over its bounds, returning its id
+ */
+function shapeGradient(gradient, width, height, context) {
+  const { attributes } = gradient;
+  const type = attributes['android:type'] ?? 'linear';
+  const centerX = parseFloat(attributes['android:centerX'] ?? '0.5');
+  const centerY = parseFloat(attributes['android:centerY'] ?? '0.5');
+  const colors = [attributes['android:startColor'], attributes['android:centerColor'], attributes['android:endColor']];
+  // The center color sits at centerX along a linear gradient (radial ones take whichever isn't the default)
+  const center = type === 'linear' || centerX !== 0.5 ? centerX : centerY;
+  const stops = colors
+    .map((color, index) => color && { offset: [0, center, 1][index], color: parseColor(color) })
+    .filter(Boolean);
+
+  if (type === 'linear') {
+    const angle = ((parseFloat(attributes['android:angle'] ?? '0') % 360) + 360) % 360;
+    const points = GRADIENT_ANGLES[angle];
+    if (!points) {
+      throw new Error(`gradient angle ${angle} isn't a multiple of 45`);
+    }
+    const [x1, y1, x2, y2] = points;
+    return defineGradient(context, 'linearGradient',
+      { x1: x1 * width, y1: y1 * height, x2: x2 * width, y2: y2 * height }, stops, 'pad');
+  }
+  if (type === 'radial') {
+    const value = attributes['android:gradientRadius'] ?? '0.5';
+    const radius = value.endsWith('%')
+      ? parseFloat(value) / 100 * Math.min(width, height)
+      : /[a-z]$/.test(value) ? parseDimension(value, context) : parseFloat(value);
+    return defineGradient(context, 'radialGradient',
+      { cx: centerX * width, cy: centerY * height, r: radius }, stops, 'pad');
+  }
+  throw new Error(`${type} gradients aren't supported`);
+}
+
+/**
+ * <vector>: the viewport scaled to the bounds
+ */
+function vectorToSvg(element, width, height, context) {
+  const { attributes } = element;
+  if (attributes['android:tint']) {
+    throw new Error('android:tint on <vector> isn\'t supported');
+  }
+  const viewportWidth = parseFloat(attributes['android:viewportWidth']);
+  const viewportHeight = parseFloat(attributes['android:viewportHeight']);
+  if (!(viewportWidth > 0 && viewportHeight > 0)) {
+    throw new Error('<vector> has no viewport size');
+  }
+  const alpha = parseFloat(attributes['android:alpha'] ?? '1');
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${viewportWidth} ${viewportHeight}" preserveAspectRatio="none">` +
+    `<g opacity="${alpha}">${vectorChildrenToSvg(element.children, context)}</g></svg>`;
+}
+
+/**
+ * Paths and groups of a <vector> or <group>
+ *
+ * A <clip-path> clips the elements after it in the same group.
+ */
+function vectorChildrenToSvg(children, context) {
+  let content = '';
+  for (const [index, child] of children.entries()) {
+    if (child.name === 'path') {
+      content += vectorPathToSvg(child, context);
+    } else if (child.name === 'group') {
+      content += vectorGroupToSvg(child, context);
+    } else if (child.name === 'clip-path') {
+      const id = `clip${context.definitions.length}`;
+      const fillRule = child.attributes['android:fillType'] === 'evenOdd' ? 'evenodd' : 'nonzero';
+      context.definitions.push(`<clipPath id="${id}"><path d="${child.attributes['android:pathData'] ?? ''}" clip-rule="${fillRule}"/></clipPath>`);
+      return `${content}<g clip-path="url(#${id})">${vectorChildrenToSvg(children.slice(index + 1), context)}</g>`;
+    } else {
+      throw new Error(`<${child.name}> in a vector isn't supported`);
+    }
+  }
+  return content;
+}
+
+function vectorGroupToSvg(group, context) {
+  const number = (name, fallback) => parseFloat(group.attributes[`android:${name}`] ?? fallback);
+  const pivotX = number('pivotX', 0), pivotY = number('pivotY', 0);
+  // Same order as VectorDrawable: around the pivot, scale, then rotate, then translate
+  const transform = `translate(${number('translateX', 0) + pivotX},${number('translateY', 0) + pivotY}) ` +
+    `rotate(${number('rotation', 0)}) scale(${number('scaleX', 1)},${number('scaleY', 1)}) translate(${-pivotX},${-pivotY})`;
+  return `<g transform="${transform}">${vectorChildrenToSvg(group.children, context)}</g>`;
+}
+
+function vectorPathToSvg(pathElement, context) {
+  const { attributes } = pathElement;
+  if (parseFloat(attributes['android:trimPathStart'] ?? '0') !== 0 ||
+      parseFloat(attributes['android:trimPathEnd'] ?? '1') !== 1) {
+    throw new Error('trimmed paths aren\'t supported');
+  }
+
+  const fill = vectorPaint(pathElement, 'fillColor', context);
+  const stroke = vectorPaint(pathElement, 'strokeColor', context);
+  const strokeWidth = parseFloat(attributes['android:strokeWidth'] ?? '0');
+
+  const parts = [`d="${attributes['android:pathData'] ?? ''}"`];
+  const alpha = (name) => parseFloat(attributes[`android:${name}`] ?? '1');
+  parts.push(fill ? paint('fill', { ...fill, opacity: fill.opacity * alpha('fillAlpha') }) : 'fill="none"');
+  if (attributes['android:fillType'] === 'evenOdd') parts.push('fill-rule="evenodd"');
+  if (stroke && strokeWidth > 0) {
+    parts.push(paint('stroke', { ...stroke, opacity: stroke.opacity * alpha('strokeAlpha') }));
+    parts.push(`stroke-width="${strokeWidth}"`);
+    parts.push(`stroke-linecap="${LINE_CAPS[attributes['android:strokeLineCap']] ?? 'butt'}"`);
+    parts.push(`stroke-linejoin="${LINE_JOINS[attributes['android:strokeLineJoin']] ?? 'miter'}"`);
+    parts.push(`stroke-miterlimit="${parseFloat(attributes['android:strokeMiterLimit'] ?? '4')}"`);
+  }
+  return `<path ${parts.join(' ')}/>`;
+}
+
+/**
+ * The paint of a path's fillColor or strokeColor: a color attribute, or an
+ * <aapt:attr> holding a <gradient>
+ *
+ * @returns {{color: string, opacity: number}|null} An SVG color or gradient URL; null when there's none
+ */
+function vectorPaint(pathElement, attribute, context) {
+  const attr = pathElement.children.find(child =>
+    child.name === 'aapt:attr' && child.attributes.name === `android:${attribute}`);
+  if (attr) {
+    const gradient = attr.children.find(child => child.name === 'gradient');
+    if (!gradient) {
+      throw new Error(`android:${attribute} holds no <gradient>`);
+    }
+    return { color: `url(#${vectorGradient(gradient, context)})`, opacity: 1 };
+  }
+
+  const value = pathElement.attributes[`android:${attribute}`];
+  return value ? parseColor(value) : null;
+}
+
+/**
+ * Define a vector <gradient> (in path coordinates), returning its id
+ */
+function vectorGradient(gradient, context) {
+  const { attributes } = gradient;
+  const number = (name, fallback = 0) => parseFloat(attributes[`android:${name}`] ?? fallback);
+
+  const items = gradient.children.filter(child => child.name === 'item');
+  const stops = items.length > 0
+    ? items.map(item => ({
+        offset: parseFloat(item.attributes['android:offset'] ?? '0'),
+        color: parseColor(item.attributes['android:color'])
+      }))
+    : [
+        { offset: 0, color: parseColor(attributes['android:startColor'] ?? '#00000000') },
+        ...(attributes['android:centerColor'] ? [{ offset: 0.5, color: parseColor(attributes['android:centerColor']) }] : []),
+        { offset: 1, color: parseColor(attributes['android:endColor'] ?? '#00000000') }
+      ];
+  const tileMode = attributes['android:tileMode'] ?? 'clamp';
+  if (!TILE_MODES[tileMode]) {
+    throw new Error(`gradient tileMode ${tileMode} isn't supported`);
+  }
+
+  const type = attributes['android:type'] ?? 'linear';
+  if (type === 'linear') {
+    return defineGradient(context, 'linearGradient',
+      { x1: number('startX'), y1: number('startY'), x2: number('endX'), y2: number('endY') }, stops, TILE_MODES[tileMode]);
+  }
+  if (type === 'radial') {
+    return defineGradient(context, 'radialGradient',
+      { cx: number('centerX'), cy: number('centerY'), r: number('gradientRadius') }, stops, TILE_MODES[tileMode]);
+  }
+  throw new Error(`${type} gradients aren't supported`);
+}
+
+function defineGradient(context, element, geometry, stops, spreadMethod) {
+  const id = `gradient${context.definitions.length}`;
+  const attributes = Object.entries(geometry).map(([name, value]) => `${name}="${value}"`).join(' ');
+  context.definitions.push(
+    `<${element} id="${id}" gradientUnits="userSpaceOnUse" spreadMethod="${spreadMethod}" ${attributes}>` +
+    stops.map(({ offset, color }) => `<stop offset="${offset}" stop-color="${color.color}" stop-opacity="${color.opacity}"/>`).join('') +
+    `</${element}>`
+  );
+  return id;
+}
+
+function paint(property, { color, opacity }) {
+  return `${property}="${color}" ${property}-opacity="${opacity}"`;
+}
+
+/**
+ * #RGB, #ARGB, #RRGGBB or #AARRGGBB (or a few system colors) to an SVG color and opacity
+ */
+function parseColor(value = '') {
+  const hex = SYSTEM_COLORS[value] ?? value;
+  let digits = hex.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i)?.[1];
+  if (!digits) {
+    throw new Error(`unsupported color ${value || '(none)'}`);
+  }
+  if (digits.length <= 4) digits = [...digits].map(digit => digit + digit).join('');
+  if (digits.length === 6) digits = `ff${digits}`;
+  return {
+    color: `#${digits.slice(2)}`,
+    opacity: Math.round(parseInt(digits.slice(0, 2), 16) / 255 * 1000) / 1000
+  };
+}
+
+/**
+ * A dimension (dp, dip or px) in pixels of the render
+ */
+function parseDimension(value, context) {
+  const match = String(value).match(/^(-?[\d.]+)(dp|dip|px)?$/);
+  if (!match) {
+    throw new Error(`unsupported dimension ${value}`);
+  }
+  const number = parseFloat(match[1]);
+  return match[2] === 'px' ? number : number * context.pixelsPerDp;
+}
@@ -5,6 +5,15 @@
 import fs from 'fs/promises';
 import path from 'path';
 
+/**
+ * Gradient direction used when a fill has no `orientation`:
+ * from the top of the canvas to 70% of the way down (unit coordinates, y down)
+ */
+export const DEFAULT_GRADIENT_ORIENTATION = {
+  start: { x: 0.5, y: 0 },
+  stop: { x: 0.5, y: 0.7 }
+};
+
 /**
  * Read icon.json from an icon folder
  */
@@ -32,30 +41,191 @@ export function createBackgroundOnlyJson(iconData) {
   };
 }
 
+/**
+ * Create a version of icon.json whose canvas fill is solid black or white in
+ * every appearance (for matting against two known backgrounds)
+ * 
+ * @param {Object} iconData - The icon.json data
+ * @param {string} color - 'black' or 'white'
+ */
+export function createSolidFillJson(iconData, color) {
+  const value = color === 'white' ? '1.00000' : '0.00000';
+  const solidFillData = {
+    ...iconData,
+    fill: { solid: `srgb:${value},${value},${value},1.00000` }
+  };
+  delete solidFillData['fill-specializations'];
+  return solidFillData;
+}
+
+/**
+ * Liquid Glass effects that can be turned off before rendering
+ * (glass is a layer property, the others are group properties)
+ */
+export const GLASS_EFFECTS = ['specular', 'shadow', 'translucency', 'blur-material', 'glass'];
+
+// Each effect's value when turned off, given its current value (undefined if unset)
+const DISABLED_EFFECT_VALUES = {
+  specular: () => false,
+  shadow: (value) => ({ opacity: 0.5, ...value, kind: 'none' }),
+  translucency: (value) => ({ value: 0.5, ...value, enabled: false }),
+  'blur-material': () => null,
+  glass: () => false
+};
+
+/**
+ * Create a version of icon.json with Liquid Glass effects turned off, for a
+ * flat render from an unchanged icon
+ *
+ * Effects are set the way Icon Composer writes them when they're unchecked
+ * (specular false, shadow kind 'none', translucency disabled, blur-material
+ * null, glass false on the group's layers), both in the plain property, which
+ * is set even where the icon relies on the default, and in every entry of its
+ * `<key>-specializations`.
+ *
+ * @param {Object} iconData - The icon.json data
+ * @param {string[]|Object} effects - Effects to turn off in every group (names from GLASS_EFFECTS, or 'all'),
+ *   or an object mapping groups to effects: keys are 1-based group numbers, group names, or '*' for every group
+ */
+export function createWithoutEffectsJson(iconData, effects) {
+  const selection = Array.isArray(effects) ? { '*': effects } : effects;
+  const groups = iconData.groups ?? [];
+  const disabled = groups.map(() => new Set());
+
+  for (const [selector, names] of Object.entries(selection)) {
+    const expanded = names.flatMap(name => name === 'all' ? GLASS_EFFECTS : [name]);
+    for (const name of expanded) {
+      if (!GLASS_EFFECTS.includes(name)) {
+        throw new Error(`Unknown Liquid Glass effect: ${name} (expected one of: ${GLASS_EFFECTS.join(', ')}, all)`);
+      }
+    }
+
+    const matches = groups
+      .map((group, index) => selector === '*' || selector === String(index + 1) || group.name === selector ? index : -1)
+      .filter(index => index >= 0);
+    if (matches.length === 0 && selector !== '*') {
+      throw new Error(`No group ${selector} in icon.json (use a group number from 1 to ${groups.length}, or a group name)`);
+    }
+    for (const index of matches) {
+      expanded.forEach(name => disabled[index].add(name));
+    }
+  }
+
+  return {
+    ...iconData,
+    groups: groups.map((group, index) => {
+      let result = { ...group };
+      for (const name of disabled[index]) {
+        if (name === 'glass') {
+          result.layers = (result.layers ?? []).map(layer => disableEffect(layer, 'glass'));
+        } else {
+          result = disableEffect(result, name);
+        }
+      }
+      return result;
+    })
+  };
+}
+
+function disableEffect(object, key) {
+  const disable = DISABLED_EFFECT_VALUES[key];
+  const result = { ...object, [key]: disable(object[key]) };
+  const specializations = object[`${key}-specializations`];
+  if (Array.isArray(specializations)) {
+    result[`${key}-specializations`] = specializations.map(spec => 'value' in spec ? { ...spec, value: disable(spec.value) } : spec);
+  }
+  return result;
+}
+
 /**
  * Get the fill value for the Default (Light) appearance
  * Handles both direct `fill` and `fill-specializations` array
  */
 export function getFillForDefaultAppearance(iconData) {
-  // Check for fill-specializations first (most specific)
-  if (iconData['fill-specializations']) {
-    // Find the entry without an appearance (which is the default)
-    const defaultFill = iconData['fill-specializations'].find(
-      spec => !spec.appearance && !spec.idiom
-    );
-    if (defaultFill) {
-      return defaultFill.value;
+  return getFillForAppearance(iconData, null);
+}
+
+/**
+ * Get the canvas fill value for an appearance ('dark', 'tinted', or null for Default)
+ * Falls back to the Default fill when the appearance has no specialization
+ */
+export function getFillForAppearance(iconData, appearance) {
+  return getSpecializedValue(iconData, 'fill', { appearance }) || null;
+}
+
+/**
+ * Resolve a property that may be specialized by appearance and/or idiom
+ *
+ * Looks through `<key>-specializations` for the most specific match, in order:
+ * appearance + idiom, appearance only, idiom only, then the unqualified entry.
+ * Falls back to the plain `<key>` property when no specialization applies.
+ *
+ * @param {Object} object - A group, layer, or the root icon.json object
+ * @param {string} key - Property name (e.g., 'fill', 'opacity', 'hidden')
+ * @param {string|null} appearance - 'dark', 'tinted', or null for Default (Light)
+ * @param {string|null} idiom - 'square', 'watchOS', or null
+ * @returns {*} The resolved value, or undefined if the property is not set
+ */
+export function getSpecializedValue(object, key, { appearance = null, idiom = null } = {}) {
+  const specializations = object[`${key}-specializations`];
+  if (Array.isArray(specializations)) {
+    const matches = (spec, wantAppearance, wantIdiom) =>
+      (spec.appearance ?? null) === wantAppearance && (spec.idiom ?? null) === wantIdiom;
+
+    const candidates = [];
+    if (appearance && idiom) candidates.push([appearance, idiom]);
+    if (appearance) candidates.push([appearance, null]);
+    if (idiom) candidates.push([null, idiom]);
+    candidates.push([null, null]);
+
+    for (const [wantAppearance, wantIdiom] of candidates) {
+      const spec = specializations.find(s => matches(s, wantAppearance, wantIdiom));
+      if (spec && 'value' in spec) {
+        return spec.value;
+      }
     }
   }
-  
-  // Fall back to direct fill property
-  return iconData.fill || null;
+
+  return object[key];
+}
+
+// Display P3 (D65) linear RGB to sRGB linear RGB
+const P3_TO_SRGB = [
+  [1.2249401762805598, -0.22494017628055996, 0],
+  [-0.04205695470968813, 1.0420569547096881, 0],
+  [-0.019637554590334432, -0.07863604555063188, 1.0982736001409663]
+];
+
+/**
+ * sRGB transfer functions (also used by Display P3)
+ * Extended color spaces allow values outside 0-1, so the curves are mirrored for negatives
+ */
+function srgbToLinear(value) {
+  const sign = value < 0 ? -1 : 1;
+  const abs = Math.abs(value);
+  return sign * (abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4));
+}
+
+function linearToSrgb(value) {
+  const sign = value < 0 ? -1 : 1;
+  const abs = Math.abs(value);
+  return sign * (abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+function toByte(value) {
+  return Math.round(Math.max(0, Math.min(1, value)) * 255);
 }
 
 /**
  * Parse a color string from icon.json format
- * Formats: "display-p3:r,g,b,a" or "srgb:r,g,b,a" or "extended-gray:gray,alpha"
- * Returns RGB values (0-255 range)
+ * Formats: "display-p3:r,g,b,a", "srgb:r,g,b,a", "extended-srgb:r,g,b,a" or "extended-gray:gray,alpha"
+ * 
+ * Colors are converted to sRGB:
+ * - display-p3 is linearized, converted to the sRGB gamut, and re-encoded
+ * - extended-gray uses a 2.2 gamma, so it's linearized and re-encoded with the sRGB curve
+ * Out-of-gamut values are clipped.
+ * 
+ * Returns RGB values (0-255 range) and alpha (0-1 range)
  */
 export function parseColorString(colorString) {
   if (!colorString || typeof colorString !== 'string') {
@@ -71,27 +241,43 @@ export function parseColorString(colorString) {
   const values = parts[1].split(',').map(parseFloat);
   
   if (colorSpace === 'extended-gray') {
-    // Extended gray: single gray value (0-1) and alpha
+    // Extended gray: single gray value (gamma 2.2) and alpha
     const gray = values[0];
     const alpha = values[1] ?? 1.0;
-    // Convert gray to RGB
-    const rgb = Math.round(gray * 255);
+    const linear = Math.sign(gray) * Math.pow(Math.abs(gray), 2.2);
+    const rgb = toByte(linearToSrgb(linear));
     return { r: rgb, g: rgb, b: rgb, a: alpha };
-  } else if (colorSpace === 'display-p3' || colorSpace === 'srgb') {
-    // RGB color space: r, g, b, a (all 0-1 range)
-    const r = values[0];
-    const g = values[1];
-    const b = values[2];
-    const a = values[3] ?? 1.0;
-    
-    // Convert from 0-1 range to 0-255 range
-    return {
-      r: Math.round(r * 255),
-      g: Math.round(g * 255),
-      b: Math.round(b * 255),
-      a: a
-    };
+  } else if (colorSpace === 'srgb' || colorSpace === 'extended-srgb') {
+    // RGB color space: r, g, b, a (0-1 range, or beyond for extended)
+    const [r, g, b, a = 1.0] = values;
+    return { r: toByte(r), g: toByte(g), b: toByte(b), a };
+  } else if (colorSpace === 'display-p3') {
+    // Convert P3 to sRGB through linear light
+    const [r, g, b, a = 1.0] = values;
+    const linear = [r, g, b].map(srgbToLinear);
+    const [sr, sg, sb] = P3_TO_SRGB.map(row =>
+      linearToSrgb(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2])
+    );
+    return { r: toByte(sr), g: toByte(sg), b: toByte(sb), a };
   }
   
   return null;
 }
+
+/**
+ * Convert a color to an Android hex color string
+ * Returns #RRGGBB for opaque colors, and #AARRGGBB when alpha is less than 1
+ * 
+ * @param {{r: number, g: number, b: number, a?: number}} color - RGB (0-255) and alpha (0-1)
+ */
+export function colorToAndroidHex({ r, g, b, a = 1 }) {
+  const channels = [r, g, b];
+  const alpha = Math.round(Math.max(0, Math.min(1, a)) * 255);
+  if (alpha < 255) {
+    channels.unshift(alpha);
+  }
+  return `#${channels.map(x => {
+    const hex = Math.round(x).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  }).join('')}`;
+}
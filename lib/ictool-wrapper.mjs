@@ -6,6 +6,7 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 
 const ICTOOL_PATH = '/Applications/Xcode.app/Contents/Applications/Icon Composer.app/Contents/Executables/ictool';
+const XCODE_VERSION_PLIST = '/Applications/Xcode.app/Contents/version.plist';
 
 /**
  * Run ictool to export an image from an icon file
@@ -67,3 +68,20 @@ export async function verifyIctoolExists() {
     throw new Error(`ictool not found at ${ICTOOL_PATH}. Please ensure Xcode is installed.`);
   }
 }
+
+/**
+ * Version of the Xcode that ictool comes with, e.g. "26.0 (17A324)"
+ *
+ * Renders can change between Xcode releases. When version.plist can't be
+ * read, the size and modification time of ictool stand in for the version.
+ */
+export async function getIctoolVersion() {
+  const plist = await fs.readFile(XCODE_VERSION_PLIST, 'utf-8').catch(() => '');
+  const value = (key) => plist.match(new RegExp(`<key>${key}</key>\\s*<string>([^<]*)</string>`))?.[1];
+  const version = value('CFBundleShortVersionString');
+  if (version) {
+    return `${version} (${value('ProductBuildVersion') ?? 'unknown build'})`;
+  }
+  const stats = await fs.stat(ICTOOL_PATH);
+  return `ictool of ${stats.size} bytes, modified ${stats.mtime.toISOString()}`;
+}
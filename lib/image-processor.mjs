@@ -2,161 +2,134 @@
  * Image processing utilities for extracting foreground from composite images
  */
 
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
 import sharp from 'sharp';
 
+import { SAFE_ZONE_PLACEMENT } from './scaling.mjs';
+import { KERNELS } from './unmix.mjs';
+import { writeExtractionDiagnostics } from './diagnostics.mjs';
+
+/**
+ * Version of the extraction (extractForeground(), matteForeground() and the
+ * kernels in lib/unmix.mjs), increased whenever a change alters foregrounds,
+ * so the render cache doesn't reuse foregrounds of an earlier version
+ */
+export const EXTRACTION_VERSION = 2;
+
+// Starting a worker takes about 40ms, which is what the search takes for about 64k pixels of an icon with
+// gradients (flat icons are much faster), so bands are at least this many pixels: up to 16 for a 1024 x 1024 render
+const MIN_PIXELS_PER_THREAD = 256 * 256;
+
 /**
  * Extract foreground by subtracting background from full image
  * 
- * Algorithm:
- * - For each pixel, compare full vs background
- * - If pixels are identical (within threshold): transparent (alpha = 0)
- * - If different: calculate alpha and foreground color using iterative search
- * 
- * The compositing equation: C_full = α × C_fg + (1-α) × C_bg
- * We solve for α and C_fg by finding the alpha that minimizes reconstruction error.
+ * Pixels within the threshold of the background become transparent; the
+ * others are solved for alpha and color by searching alphas in steps of 0.01
+ * (see unmixPixels() in lib/unmix.mjs), once per pair of pixel and background
+ * colors. Large images are split into horizontal bands unmixed by worker
+ * threads, which gives the same result as one thread.
  * 
  * @param {string} fullPath - Path to full composite image
  * @param {string} backgroundPath - Path to background-only image
  * @param {string} outputPath - Path where foreground PNG will be written
+ * @param {number} threads - Worker threads to use at most (default: available parallelism; 1 unmixes on the main thread)
+ * @param {string} diagnostics - Path prefix to also write diagnostics images at (see lib/diagnostics.mjs)
+ * @returns {Promise<Object|null>} Summary of the diagnostics, or null without them
  */
-export async function extractForeground(fullPath, backgroundPath, outputPath) {
-  const full = sharp(fullPath);
-  const background = sharp(backgroundPath);
+export async function extractForeground(fullPath, backgroundPath, outputPath, {
+  threads = availableParallelism(),
+  diagnostics = null
+} = {}) {
+  const { first, second, width, height } = await readImagePair(fullPath, backgroundPath);
+  const output = await runKernel('unmix', first, second, width, height, threads);
+  await sharp(output, { raw: { width, height, channels: 4 } })
+    .png()
+    .toFile(outputPath);
 
-  // Get metadata and ensure same dimensions
-  const fullMeta = await full.metadata();
-  const bgMeta = await background.metadata();
+  if (!diagnostics) return null;
+  return writeExtractionDiagnostics(diagnostics, { full: first, background: second, foreground: output, width, height });
+}
 
-  if (fullMeta.width !== bgMeta.width || fullMeta.height !== bgMeta.height) {
-    throw new Error(`Image size mismatch: full ${fullMeta.width}x${fullMeta.height}, background ${bgMeta.width}x${bgMeta.height}`);
-  }
+/**
+ * Extract foreground exactly from renders over solid black and solid white
+ * 
+ * With two known backgrounds, alpha and color are determined for every
+ * pixel (see matteBlackWhitePixels() in lib/unmix.mjs), without the threshold
+ * extractForeground() needs, so faint glass, shadows and translucency are
+ * kept as they are.
+ * 
+ * @param {string} blackPath - Path to the icon rendered over a solid black canvas
+ * @param {string} whitePath - Path to the icon rendered over a solid white canvas
+ * @param {string} outputPath - Path where foreground PNG will be written
+ * @param {number} threads - Worker threads to use at most (default: available parallelism)
+ */
+export async function matteForeground(blackPath, whitePath, outputPath, { threads = availableParallelism() } = {}) {
+  const { first, second, width, height } = await readImagePair(blackPath, whitePath);
+  const output = await runKernel('matteBlackWhite', first, second, width, height, threads);
+  await sharp(output, { raw: { width, height, channels: 4 } })
+    .png()
+    .toFile(outputPath);
+}
+
+/**
+ * Run a kernel from lib/unmix.mjs over every pixel, in horizontal bands on
+ * worker threads if the image is large enough
+ * 
+ * @returns {Promise<Buffer>} RGBA output pixels
+ */
+async function runKernel(kernel, first, second, width, height, threads) {
+  const pixels = width * height;
+  const bands = Math.max(1, Math.min(threads, Math.floor(pixels / MIN_PIXELS_PER_THREAD)));
 
-  // Get raw pixel data (RGBA)
-  const fullBuffer = await full.ensureAlpha().raw().toBuffer();
-  const bgBuffer = await background.ensureAlpha().raw().toBuffer();
+  if (bands === 1) {
+    const output = Buffer.alloc(pixels * 4);
+    KERNELS[kernel](first, second, output, 0, pixels);
+    return output;
+  }
 
-  const width = fullMeta.width;
-  const height = fullMeta.height;
-  const channels = 4; // RGBA
+  // Workers read and write the pixels in place
+  const share = (buffer) => {
+    const shared = new SharedArrayBuffer(buffer.length);
+    new Uint8Array(shared).set(buffer);
+    return shared;
+  };
+  const sharedFirst = share(first);
+  const sharedSecond = share(second);
+  const sharedOutput = new SharedArrayBuffer(pixels * 4);
+  const rowsPerBand = Math.ceil(height / bands);
 
-  // Threshold for considering pixels "identical" (allows for minor rendering differences)
-  const threshold = 5; // Per channel, 0-255 range
-
-  // Create output buffer
-  const outputBuffer = Buffer.alloc(width * height * channels);
-
-  for (let i = 0; i < fullBuffer.length; i += channels) {
-    // Extract RGBA values
-    const fullR = fullBuffer[i];
-    const fullG = fullBuffer[i + 1];
-    const fullB = fullBuffer[i + 2];
-    const fullA = fullBuffer[i + 3];
-    
-    const bgR = bgBuffer[i];
-    const bgG = bgBuffer[i + 1];
-    const bgB = bgBuffer[i + 2];
-    const bgA = bgBuffer[i + 3];
-
-    // Calculate difference per channel
-    const diffR = Math.abs(fullR - bgR);
-    const diffG = Math.abs(fullG - bgG);
-    const diffB = Math.abs(fullB - bgB);
-    const diffA = Math.abs(fullA - bgA);
-    
-    const maxDiff = Math.max(diffR, diffG, diffB, diffA);
-
-    if (maxDiff < threshold) {
-      // Pixels are essentially identical - this is pure background, make transparent
-      outputBuffer[i] = 0;     // R
-      outputBuffer[i + 1] = 0; // G
-      outputBuffer[i + 2] = 0; // B
-      outputBuffer[i + 3] = 0; // A (transparent)
-    } else {
-      // There's foreground content here
-      // Compositing equation: C_full = α × C_fg + (1-α) × C_bg
-      
-      // Calculate raw differences (signed)
-      const signedDiffR = fullR - bgR;
-      const signedDiffG = fullG - bgG;
-      const signedDiffB = fullB - bgB;
-      
-      // Iterative approach: try different alpha values and pick the one that
-      // minimizes reconstruction error (i.e., when we recompose fg over bg, 
-      // we get back exactly C_full)
-      
-      // Start with a reasonable alpha estimate
-      // If foreground color differs from background, alpha must be at least |diff|/255
-      const maxAbsDiff = Math.max(Math.abs(signedDiffR), Math.abs(signedDiffG), Math.abs(signedDiffB));
-      const minAlpha = maxAbsDiff / 255;
-      
-      // Search for best alpha in range [minAlpha, 1.0]
-      // We'll test alpha values and pick the one with minimum reconstruction error
-      let bestAlpha = Math.max(0.01, minAlpha);
-      let bestError = Infinity;
-      let bestFgR = 0, bestFgG = 0, bestFgB = 0;
-      
-      // Test alpha values from minAlpha to 1.0 with step size
-      const alphaStep = 0.01;
-      for (let testAlpha = Math.max(0.01, minAlpha); testAlpha <= 1.0; testAlpha += alphaStep) {
-        // Calculate foreground color for this alpha
-        // C_fg = (C_full - (1-α) × C_bg) / α
-        const testFgR = (fullR - (1 - testAlpha) * bgR) / testAlpha;
-        const testFgG = (fullG - (1 - testAlpha) * bgG) / testAlpha;
-        const testFgB = (fullB - (1 - testAlpha) * bgB) / testAlpha;
-        
-        // Clamp foreground colors to valid range
-        const clampedFgR = Math.max(0, Math.min(255, Math.round(testFgR)));
-        const clampedFgG = Math.max(0, Math.min(255, Math.round(testFgG)));
-        const clampedFgB = Math.max(0, Math.min(255, Math.round(testFgB)));
-        
-        // Reconstruct: recompose foreground over background
-        // recomposed = α × C_fg + (1-α) × C_bg
-        const recomposedR = testAlpha * clampedFgR + (1 - testAlpha) * bgR;
-        const recomposedG = testAlpha * clampedFgG + (1 - testAlpha) * bgG;
-        const recomposedB = testAlpha * clampedFgB + (1 - testAlpha) * bgB;
-        
-        // Calculate reconstruction error (sum of absolute differences)
-        const error = Math.abs(recomposedR - fullR) + 
-                     Math.abs(recomposedG - fullG) + 
-                     Math.abs(recomposedB - fullB);
-        
-        if (error < bestError) {
-          bestError = error;
-          bestAlpha = testAlpha;
-          bestFgR = clampedFgR;
-          bestFgG = clampedFgG;
-          bestFgB = clampedFgB;
-        }
-        
-        // Early exit if we found perfect reconstruction
-        if (error < 0.1) break;
-      }
-      
-      // If error is still high, might be noise - make transparent if difference is small
-      if (bestError > 30 && maxAbsDiff < 15) {
-        outputBuffer[i] = 0;
-        outputBuffer[i + 1] = 0;
-        outputBuffer[i + 2] = 0;
-        outputBuffer[i + 3] = 0;
-      } else {
-        outputBuffer[i] = bestFgR;
-        outputBuffer[i + 1] = bestFgG;
-        outputBuffer[i + 2] = bestFgB;
-        outputBuffer[i + 3] = Math.round(bestAlpha * 255);
+  await Promise.all(Array.from({ length: bands }, (_, band) => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./unmix-worker.mjs', import.meta.url), {
+      workerData: {
+        kernel,
+        first: sharedFirst,
+        second: sharedSecond,
+        output: sharedOutput,
+        start: band * rowsPerBand * width,
+        end: Math.min(height, (band + 1) * rowsPerBand) * width
       }
-    }
-  }
+    });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => reject(new Error(`Foreground extraction worker exited with code ${code}`)));
+  })));
+  return Buffer.from(sharedOutput);
+}
 
-  // Write output image
-  await sharp(outputBuffer, {
-    raw: {
-      width,
-      height,
-      channels: 4
-    }
-  })
-    .png()
-    .toFile(outputPath);
+/**
+ * Read two images of the same size as raw RGBA
+ */
+async function readImagePair(firstPath, secondPath) {
+  const first = await sharp(firstPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const second = await sharp(secondPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = first.info;
+
+  if (width !== second.info.width || height !== second.info.height) {
+    throw new Error(`Image size mismatch: ${path.basename(firstPath)} is ${width}x${height}, ${path.basename(secondPath)} is ${second.info.width}x${second.info.height}`);
+  }
+  return { first: first.data, second: second.data, width, height };
 }
 
 /**
@@ -166,44 +139,174 @@ export async function extractForeground(fullPath, backgroundPath, outputPath) {
  * For xxxhdpi, that's 432x432 pixels with a 264x264 pixel safe area.
  * The outer 18dp (72px) on each side is reserved for masking.
  * 
- * This function scales the input image to fit within the safe area and centers
- * it in a 432x432 canvas with transparent padding.
+ * By default, this function scales the input image to fit within the safe area
+ * and centers it in a layer-sized canvas with transparent padding. Another
+ * placement (see lib/scaling.mjs) puts it elsewhere; anything outside the
+ * layer is cropped.
  * 
  * @param {string} inputPath - Path to input image
  * @param {string} outputPath - Path where padded image will be written
+ * @param {number} layerSize - Size of the 108dp layer in pixels (default: 432, xxxhdpi)
+ * @param {Object} placement - { x, y, size } square of the layer, in dp, that the image fits into
+ */
+export async function prepareForAndroidAdaptiveIcon(inputPath, outputPath, layerSize = 432, placement = SAFE_ZONE_PLACEMENT) {
+  await sharp(await placeOnLayer(inputPath, layerSize, placement)).toFile(outputPath);
+}
+
+/**
+ * Fit an image into a square of a transparent 108dp layer (see prepareForAndroidAdaptiveIcon())
+ * 
+ * @returns {Promise<Buffer>} PNG of the layer
  */
-export async function prepareForAndroidAdaptiveIcon(inputPath, outputPath) {
-  // Android Adaptive Icon specifications for xxxhdpi
-  const ANDROID_LAYER_SIZE = 432; // 108dp × 4
-  const ANDROID_SAFE_AREA = 264; // 66dp × 4
-  const ANDROID_PADDING = 72; // 18dp × 4 (on each side)
+async function placeOnLayer(inputPath, layerSize, placement) {
+  const pixelsPerDp = layerSize / 108;
+  const placementSize = placement.size * pixelsPerDp;
 
   const image = sharp(inputPath);
   const metadata = await image.metadata();
 
-  // Calculate scale to fit within safe area (264x264)
-  const scale = Math.min(ANDROID_SAFE_AREA / metadata.width, ANDROID_SAFE_AREA / metadata.height);
+  // Scale to fit within the placement (264x264 at xxxhdpi for the safe area)
+  const scale = Math.min(placementSize / metadata.width, placementSize / metadata.height);
   const scaledWidth = Math.round(metadata.width * scale);
   const scaledHeight = Math.round(metadata.height * scale);
 
-  // Calculate position to center the scaled image
-  const left = Math.round((ANDROID_LAYER_SIZE - scaledWidth) / 2);
-  const top = Math.round((ANDROID_LAYER_SIZE - scaledHeight) / 2);
+  // Center the scaled image on the placement
+  const left = Math.round((placement.x * pixelsPerDp * 2 + placementSize - scaledWidth) / 2);
+  const top = Math.round((placement.y * pixelsPerDp * 2 + placementSize - scaledHeight) / 2);
 
-  // Create a transparent 432x432 canvas and composite the scaled image centered
-  await sharp({
+  // Crop whatever falls outside the layer
+  const cropLeft = Math.max(0, -left);
+  const cropTop = Math.max(0, -top);
+  const visibleWidth = Math.min(scaledWidth, layerSize - left) - cropLeft;
+  const visibleHeight = Math.min(scaledHeight, layerSize - top) - cropTop;
+
+  const overlays = [];
+  if (visibleWidth > 0 && visibleHeight > 0) {
+    let scaled = image.resize(scaledWidth, scaledHeight, { fit: 'inside' }).ensureAlpha();
+    if (cropLeft > 0 || cropTop > 0 || visibleWidth < scaledWidth || visibleHeight < scaledHeight) {
+      scaled = sharp(await scaled.toBuffer())
+        .extract({ left: cropLeft, top: cropTop, width: visibleWidth, height: visibleHeight });
+    }
+    overlays.push({ input: await scaled.toBuffer(), left: left + cropLeft, top: top + cropTop });
+  }
+
+  // Create a transparent layer-sized canvas (432x432 at xxxhdpi) and composite the scaled image
+  return sharp({
     create: {
-      width: ANDROID_LAYER_SIZE,
-      height: ANDROID_LAYER_SIZE,
+      width: layerSize,
+      height: layerSize,
       channels: 4,
       background: { r: 0, g: 0, b: 0, alpha: 0 } // Transparent background
     }
   })
-    .composite([{
-      input: await image.resize(scaledWidth, scaledHeight, { fit: 'inside' }).ensureAlpha().toBuffer(),
-      left,
-      top
-    }])
+    .composite(overlays)
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Turn a background render into a 108dp background layer
+ * 
+ * The render is scaled onto the placement of the foreground (by default the
+ * 66dp safe area), so the artwork stays on the fill it was designed on, and
+ * its edge pixels are extended outward to fill the layer, like the
+ * tileMode="clamp" of the background drawable. Anything outside the layer is
+ * cropped.
+ * 
+ * @param {string} backgroundPath - Path to background-only image
+ * @param {string} outputPath - Path where the layer will be written
+ * @param {number} layerSize - Size of the 108dp layer in pixels (default: 432, xxxhdpi)
+ * @param {Object} placement - { x, y, size } square of the layer, in dp, that the canvas maps to
+ */
+export async function prepareBackgroundLayer(backgroundPath, outputPath, layerSize = 432, placement = SAFE_ZONE_PLACEMENT) {
+  await sharp(await extendBackgroundToLayer(backgroundPath, layerSize, placement)).toFile(outputPath);
+}
+
+/**
+ * Scale a background onto a placement in a layer and extend its edges (see prepareBackgroundLayer())
+ * 
+ * @returns {Promise<Buffer>} PNG of the layer
+ */
+async function extendBackgroundToLayer(backgroundPath, layerSize, placement = SAFE_ZONE_PLACEMENT) {
+  const pixelsPerDp = layerSize / 108;
+  const size = Math.round(placement.size * pixelsPerDp);
+  // Offsets of the placement's center from the layer's center move the centered square
+  const left = Math.floor((layerSize - size) / 2 + (placement.x + placement.size / 2 - 108 / 2) * pixelsPerDp);
+  const top = Math.floor((layerSize - size) / 2 + (placement.y + placement.size / 2 - 108 / 2) * pixelsPerDp);
+  const right = layerSize - size - left;
+  const bottom = layerSize - size - top;
+
+  const extended = await sharp(backgroundPath)
+    .resize(size, size, { fit: 'fill' })
+    .ensureAlpha()
+    .extend({
+      top: Math.max(0, top),
+      bottom: Math.max(0, bottom),
+      left: Math.max(0, left),
+      right: Math.max(0, right),
+      extendWith: 'copy'
+    })
+    .png()
+    .toBuffer();
+  if (Math.min(top, bottom, left, right) >= 0) {
+    return extended;
+  }
+
+  return sharp(extended)
+    .extract({ left: Math.max(0, -left), top: Math.max(0, -top), width: layerSize, height: layerSize })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Resize an image to a square of the given size (e.g., for legacy launcher icons)
+ * 
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPath - Path where resized image will be written
+ * @param {number} size - Width and height in pixels
+ */
+export async function resizeSquare(inputPath, outputPath, size) {
+  await sharp(inputPath)
+    .resize(size, size, { fit: 'fill' })
+    .ensureAlpha()
+    .png()
+    .toFile(outputPath);
+}
+
+/**
+ * Create a circular legacy launcher icon (ic_launcher_round.png) from the adaptive layers
+ * 
+ * Both layers are laid out on a 108dp canvas the same way as the adaptive icon
+ * (both scaled onto the foreground's placement). The background's edge pixels
+ * are extended outward to fill the canvas, like the background drawable does.
+ * The visible 72dp viewport is then cropped out and masked to a circle.
+ * 
+ * @param {string} backgroundPath - Path to background-only image
+ * @param {string} foregroundPath - Path to extracted foreground image
+ * @param {string} outputPath - Path where the round icon will be written
+ * @param {number} size - Width and height of the output icon in pixels
+ * @param {Object} placement - Placement of the foreground and background (see prepareForAndroidAdaptiveIcon())
+ */
+export async function createRoundLegacyIcon(backgroundPath, foregroundPath, outputPath, size, placement = SAFE_ZONE_PLACEMENT) {
+  // The 72dp viewport spans `size` pixels, so the 108dp layer is 1.5x larger
+  const layerSize = Math.round(size * 108 / 72);
+  const offset = Math.floor((layerSize - size) / 2);
+
+  const background = await extendBackgroundToLayer(backgroundPath, layerSize, placement);
+  const foreground = await placeOnLayer(foregroundPath, layerSize, placement);
+
+  const layered = await sharp(background)
+    .composite([{ input: foreground }])
+    .png()
+    .toBuffer();
+
+  const circleMask = Buffer.from(
+    `<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="#fff"/></svg>`
+  );
+
+  await sharp(layered)
+    .extract({ left: offset, top: offset, width: size, height: size })
+    .composite([{ input: circleMask, blend: 'dest-in' }])
     .png()
     .toFile(outputPath);
 }
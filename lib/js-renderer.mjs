@@ -0,0 +1,511 @@
+/**
+ * Pure-JavaScript renderer for Icon Composer files
+ *
+ * Composites the canvas fill and the PNG/SVG layers in the Assets folder
+ * using sharp, so icons can be exported without ictool (e.g., on Linux).
+ *
+ * This is an approximation of what Icon Composer renders: it honors hidden
+ * groups/layers, positions, layer fills, opacity, blend modes, and the canvas
+ * fill, but does not attempt Liquid Glass effects (specular highlights,
+ * shadows, translucency, blur).
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+import { readIconJson, getSpecializedValue, parseColorString, DEFAULT_GRADIENT_ORIENTATION } from './icon-utils.mjs';
+
+/**
+ * Version of the renders, increased whenever a change makes them look
+ * different, so the render cache doesn't reuse renders of an earlier version
+ */
+export const JS_RENDERER_VERSION = 1;
+
+// Icon Composer canvases are 1024x1024 points
+const CANVAS_SIZE_POINTS = 1024;
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+const GRAY = { r: 128, g: 128, b: 128, a: 1 };
+
+// Map ictool renditions to icon.json appearances
+const RENDITION_APPEARANCES = {
+  Default: null,
+  Dark: 'dark',
+  TintedLight: 'tinted',
+  TintedDark: 'tinted',
+  ClearLight: 'tinted',
+  ClearDark: 'tinted'
+};
+
+// Map icon.json blend modes to sharp composite blend modes
+const BLEND_MODES = {
+  'normal': 'over',
+  'multiply': 'multiply',
+  'screen': 'screen',
+  'overlay': 'overlay',
+  'darken': 'darken',
+  'lighten': 'lighten',
+  'color-dodge': 'color-dodge',
+  'color-burn': 'color-burn',
+  'soft-light': 'soft-light',
+  'hard-light': 'hard-light',
+  'difference': 'difference',
+  'exclusion': 'exclusion',
+  'plus-lighter': 'add',
+  'plus-darker': 'over' // No equivalent in sharp
+};
+
+/**
+ * Render an icon to PNG without ictool
+ *
+ * Takes the same arguments as exportImage() in ictool-wrapper.mjs.
+ *
+ * @param {string} iconPath - Path to the .icon folder
+ * @param {string} outputPath - Path where the PNG will be written
+ * @param {number} width - Image width (default: 1024)
+ * @param {number} height - Image height (default: 1024)
+ * @param {string} platform - Platform to export for (default: 'iOS')
+ * @param {string} rendition - Rendition/appearance (default: 'Default')
+ */
+export async function renderImage(iconPath, outputPath, {
+  width = 1024,
+  height = 1024,
+  platform = 'iOS',
+  rendition = 'Default'
+} = {}) {
+  if (!(rendition in RENDITION_APPEARANCES)) {
+    throw new Error(`Unsupported rendition: ${rendition}`);
+  }
+
+  const iconData = await readIconJson(iconPath);
+  const context = {
+    iconPath,
+    width,
+    height,
+    pixelsPerPoint: Math.min(width, height) / CANVAS_SIZE_POINTS,
+    appearance: RENDITION_APPEARANCES[rendition],
+    idiom: platform === 'watchOS' ? 'watchOS' : 'square'
+  };
+
+  // Start with the canvas fill
+  const canvasFill = getSpecializedValue(iconData, 'fill', context);
+  const background = createFillPixels(resolveCanvasFill(canvasFill, context.appearance), width, height);
+  const canvas = await renderGroups(iconData, background, context);
+
+  // Clear and tinted renditions are monochrome
+  if (rendition.startsWith('Clear') || rendition.startsWith('Tinted')) {
+    desaturate(canvas);
+  }
+
+  await sharp(canvas, { raw: { width, height, channels: 4 } })
+    .png()
+    .toFile(outputPath);
+}
+
+/**
+ * Render a monochrome alpha mask from the icon's tinted specializations
+ *
+ * Layers are composited without the canvas fill, using their
+ * `appearance: "tinted"` fills, opacity, and visibility. The luminance of the
+ * result becomes the mask's alpha (Android 13 themed icons only use alpha),
+ * so a layer tinted 70% gray ends up 70% opaque. The mask is white.
+ *
+ * @param {string} iconPath - Path to the .icon folder
+ * @param {string} outputPath - Path where the PNG will be written
+ * @param {number} width - Image width (default: 1024)
+ * @param {number} height - Image height (default: 1024)
+ * @param {string} platform - Platform to export for (default: 'iOS')
+ */
+export async function renderTintedMask(iconPath, outputPath, {
+  width = 1024,
+  height = 1024,
+  platform = 'iOS'
+} = {}) {
+  const iconData = await readIconJson(iconPath);
+  const context = {
+    iconPath,
+    width,
+    height,
+    pixelsPerPoint: Math.min(width, height) / CANVAS_SIZE_POINTS,
+    appearance: 'tinted',
+    idiom: platform === 'watchOS' ? 'watchOS' : 'square'
+  };
+
+  const transparent = Buffer.alloc(width * height * 4);
+  const canvas = await renderGroups(iconData, transparent, context);
+  luminanceToAlpha(canvas);
+
+  await sharp(canvas, { raw: { width, height, channels: 4 } })
+    .png()
+    .toFile(outputPath);
+}
+
+/**
+ * Render a subset of layers on a transparent canvas
+ *
+ * Used for layers that can't be converted to vector drawables. Only the
+ * given layers are painted; their groups' position, opacity, and blend mode
+ * still apply.
+ *
+ * @param {string} iconPath - Path to the .icon folder
+ * @param {string} outputPath - Path where the PNG will be written
+ * @param {Array<{groupIndex: number, layerIndex: number}>} layers - Layers to render (indices into icon.json)
+ * @param {number} width - Image width (default: 1024)
+ * @param {number} height - Image height (default: 1024)
+ * @param {string} platform - Platform to export for (default: 'iOS')
+ * @param {string|null} appearance - 'dark', 'tinted', or null for Default (Light)
+ * @param {boolean} monochrome - Output a white mask with luminance as alpha, like renderTintedMask()
+ */
+export async function renderLayers(iconPath, outputPath, {
+  layers,
+  width = 1024,
+  height = 1024,
+  platform = 'iOS',
+  appearance = null,
+  monochrome = false
+}) {
+  const iconData = await readIconJson(iconPath);
+  const context = {
+    iconPath,
+    width,
+    height,
+    pixelsPerPoint: Math.min(width, height) / CANVAS_SIZE_POINTS,
+    appearance,
+    idiom: platform === 'watchOS' ? 'watchOS' : 'square'
+  };
+
+  const selected = new Set(layers.map(({ groupIndex, layerIndex }) => `${groupIndex}:${layerIndex}`));
+  const groups = (iconData.groups || []).map((group, groupIndex) => ({
+    ...group,
+    layers: (group.layers || []).filter((_, layerIndex) => selected.has(`${groupIndex}:${layerIndex}`))
+  }));
+
+  const transparent = Buffer.alloc(width * height * 4);
+  const canvas = await renderGroups({ ...iconData, groups }, transparent, context);
+  if (monochrome) {
+    luminanceToAlpha(canvas);
+  }
+
+  await sharp(canvas, { raw: { width, height, channels: 4 } })
+    .png()
+    .toFile(outputPath);
+}
+
+/**
+ * Paint all visible groups onto a canvas
+ *
+ * @param {Object} iconData - The icon.json data
+ * @param {Buffer} canvas - Raw RGBA pixels to paint onto
+ * @returns {Promise<Buffer>} The painted raw RGBA pixels
+ */
+async function renderGroups(iconData, canvas, context) {
+  const { width, height } = context;
+
+  // Groups and layers are listed top to bottom, so paint them in reverse
+  const groups = [...(iconData.groups || [])].reverse();
+  for (const group of groups) {
+    if (getSpecializedValue(group, 'hidden', context)) continue;
+
+    const groupPixels = await renderGroup(group, context);
+    if (!groupPixels) continue;
+
+    const blendMode = getSpecializedValue(group, 'blend-mode', context) || 'normal';
+    canvas = await compositeRaw(canvas, width, height, [{
+      input: groupPixels,
+      raw: { width, height, channels: 4 },
+      left: 0,
+      top: 0,
+      blend: BLEND_MODES[blendMode] || 'over'
+    }]);
+  }
+
+  return canvas;
+}
+
+/**
+ * Render all visible layers of a group into a transparent canvas-sized buffer
+ *
+ * @returns {Promise<Buffer|null>} Raw RGBA pixels, or null if nothing is visible
+ */
+async function renderGroup(group, context) {
+  const { width, height } = context;
+  const groupPosition = getSpecializedValue(group, 'position', context);
+  const groupOpacity = getSpecializedValue(group, 'opacity', context) ?? 1;
+
+  const overlays = [];
+  const layers = [...(group.layers || [])].reverse();
+  for (const layer of layers) {
+    if (getSpecializedValue(layer, 'hidden', context)) continue;
+    if (!layer['image-name']) continue;
+
+    const overlay = await renderLayer(layer, groupPosition, context);
+    if (overlay) {
+      overlays.push(overlay);
+    }
+  }
+
+  if (overlays.length === 0) {
+    return null;
+  }
+
+  const transparent = Buffer.alloc(width * height * 4);
+  const groupPixels = await compositeRaw(transparent, width, height, overlays);
+
+  if (groupOpacity < 1) {
+    multiplyAlpha(groupPixels, groupOpacity);
+  }
+
+  return groupPixels;
+}
+
+/**
+ * Rasterize a single layer, apply its fill and opacity, and crop it to the canvas
+ *
+ * @returns {Promise<Object|null>} A sharp composite overlay, or null if the layer is off-canvas
+ */
+async function renderLayer(layer, groupPosition, context) {
+  const { iconPath, width, height, pixelsPerPoint } = context;
+  const assetPath = path.join(iconPath, 'Assets', layer['image-name']);
+
+  const layerPosition = getSpecializedValue(layer, 'position', context);
+  const groupScale = groupPosition?.scale ?? 1;
+  const [groupX, groupY] = groupPosition?.['translation-in-points'] ?? [0, 0];
+  const layerScale = layerPosition?.scale ?? 1;
+  const [layerX, layerY] = layerPosition?.['translation-in-points'] ?? [0, 0];
+
+  const scale = groupScale * layerScale;
+  const centerX = width / 2 + (groupX + groupScale * layerX) * pixelsPerPoint;
+  const centerY = height / 2 + (groupY + groupScale * layerY) * pixelsPerPoint;
+
+  // Asset size in points (PNG pixels are scaled by their density; SVGs are 72dpi)
+  const metadata = await sharp(assetPath).metadata();
+  const assetDensity = metadata.format === 'svg' ? 72 : (metadata.density || 72);
+  const widthPoints = metadata.width * 72 / assetDensity;
+  const heightPoints = metadata.height * 72 / assetDensity;
+
+  const layerWidth = Math.max(1, Math.round(widthPoints * scale * pixelsPerPoint));
+  const layerHeight = Math.max(1, Math.round(heightPoints * scale * pixelsPerPoint));
+  const left = Math.round(centerX - layerWidth / 2);
+  const top = Math.round(centerY - layerHeight / 2);
+
+  // Rasterize SVGs at the target resolution rather than upscaling a bitmap
+  const input = metadata.format === 'svg'
+    ? sharp(assetPath, { density: Math.min(72 * layerWidth / metadata.width, 100000) })
+    : sharp(assetPath);
+  const pixels = await input
+    .resize(layerWidth, layerHeight, { fit: 'fill' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+
+  const fill = resolveLayerFill(getSpecializedValue(layer, 'fill', context));
+  if (fill) {
+    applyFill(pixels, createFillPixels(fill, layerWidth, layerHeight));
+  }
+
+  const opacity = getSpecializedValue(layer, 'opacity', context) ?? 1;
+  if (opacity < 1) {
+    multiplyAlpha(pixels, opacity);
+  }
+
+  const cropped = cropToCanvas(pixels, layerWidth, layerHeight, left, top, width, height);
+  if (!cropped) {
+    return null;
+  }
+
+  const blendMode = getSpecializedValue(layer, 'blend-mode', context) || 'normal';
+  return {
+    input: cropped.pixels,
+    raw: { width: cropped.width, height: cropped.height, channels: 4 },
+    left: cropped.left,
+    top: cropped.top,
+    blend: BLEND_MODES[blendMode] || 'over'
+  };
+}
+
+/**
+ * Turn the canvas fill into a solid color or gradient description
+ * 'automatic' and 'none' adapt to the appearance (white, dark, or gray)
+ */
+function resolveCanvasFill(fill, appearance) {
+  if (!fill || fill === 'automatic' || fill === 'none') {
+    if (appearance === 'dark') return { colors: [BLACK] };
+    if (appearance === 'tinted') return { colors: [GRAY] };
+    return { colors: [WHITE] };
+  }
+  return resolveFillObject(fill, 'canvas');
+}
+
+/**
+ * Turn a layer fill into a solid color or gradient description
+ * 'automatic' and 'none' keep the asset's natural colors (returns null)
+ */
+function resolveLayerFill(fill) {
+  if (!fill || fill === 'automatic' || fill === 'none') {
+    return null;
+  }
+  return resolveFillObject(fill, 'layer');
+}
+
+function resolveFillObject(fill, description) {
+  if (fill === 'system-dark') {
+    return { colors: [BLACK] };
+  }
+  if (fill === 'system-light') {
+    return { colors: [WHITE] };
+  }
+  if (typeof fill === 'string') {
+    throw new Error(`Unsupported ${description} fill string value: ${fill}`);
+  }
+
+  const orientation = fill.orientation || DEFAULT_GRADIENT_ORIENTATION;
+
+  if (fill.solid) {
+    return { colors: [parseFillColor(fill.solid, description)] };
+  }
+  if (Array.isArray(fill['linear-gradient'])) {
+    const [start, stop] = fill['linear-gradient'];
+    return {
+      colors: [parseFillColor(start, description), parseFillColor(stop, description)],
+      orientation
+    };
+  }
+  if (fill['automatic-gradient']) {
+    const bottom = parseFillColor(fill['automatic-gradient'], description);
+    return {
+      colors: [automaticGradientTopColor(bottom), bottom],
+      orientation
+    };
+  }
+
+  throw new Error(`Unsupported ${description} fill type: ${Object.keys(fill)[0]}`);
+}
+
+function parseFillColor(colorString, description) {
+  const color = parseColorString(colorString);
+  if (!color) {
+    throw new Error(`Failed to parse ${description} fill color: ${colorString}`);
+  }
+  return color;
+}
+
+/**
+ * Approximate the top color Icon Composer computes for automatic gradients
+ * by blending the bottom color 30% toward white.
+ */
+function automaticGradientTopColor(bottom) {
+  const lighten = (value) => value + (255 - value) * 0.3;
+  return {
+    r: lighten(bottom.r),
+    g: lighten(bottom.g),
+    b: lighten(bottom.b),
+    a: bottom.a
+  };
+}
+
+/**
+ * Create raw RGBA pixels for a solid or linear-gradient fill
+ *
+ * Gradient orientation points are in unit coordinates of the filled area,
+ * with y pointing down. Pixels before the start or past the stop are clamped
+ * to the first or last color.
+ */
+function createFillPixels({ colors, orientation }, width, height) {
+  const pixels = Buffer.alloc(width * height * 4);
+  const [first, last = first] = colors;
+
+  const startX = (orientation?.start.x ?? 0) * width;
+  const startY = (orientation?.start.y ?? 0) * height;
+  const dx = (orientation?.stop.x ?? 0) * width - startX;
+  const dy = (orientation?.stop.y ?? 0) * height - startY;
+  const lengthSquared = dx * dx + dy * dy;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let t = 0;
+      if (lengthSquared > 0) {
+        t = ((x + 0.5 - startX) * dx + (y + 0.5 - startY) * dy) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+      }
+
+      const i = (y * width + x) * 4;
+      pixels[i] = Math.round(first.r + (last.r - first.r) * t);
+      pixels[i + 1] = Math.round(first.g + (last.g - first.g) * t);
+      pixels[i + 2] = Math.round(first.b + (last.b - first.b) * t);
+      pixels[i + 3] = Math.round(((first.a ?? 1) + ((last.a ?? 1) - (first.a ?? 1)) * t) * 255);
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Replace the colors of a layer with a fill, keeping the layer's alpha as a mask
+ */
+function applyFill(pixels, fillPixels) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels[i] = fillPixels[i];
+    pixels[i + 1] = fillPixels[i + 1];
+    pixels[i + 2] = fillPixels[i + 2];
+    pixels[i + 3] = Math.round(pixels[i + 3] * fillPixels[i + 3] / 255);
+  }
+}
+
+function multiplyAlpha(pixels, opacity) {
+  for (let i = 3; i < pixels.length; i += 4) {
+    pixels[i] = Math.round(pixels[i] * opacity);
+  }
+}
+
+/**
+ * Convert pixels to grayscale in place using Rec. 709 luma weights
+ */
+function desaturate(pixels) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const gray = Math.round(0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2]);
+    pixels[i] = pixels[i + 1] = pixels[i + 2] = gray;
+  }
+}
+
+/**
+ * Turn pixels into a white mask whose alpha is scaled by their luminance
+ */
+function luminanceToAlpha(pixels) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const luminance = (0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2]) / 255;
+    pixels[i] = pixels[i + 1] = pixels[i + 2] = 255;
+    pixels[i + 3] = Math.round(pixels[i + 3] * luminance);
+  }
+}
+
+/**
+ * Crop a layer to the part that overlaps the canvas
+ * (sharp refuses to composite images that extend past the base image)
+ */
+function cropToCanvas(pixels, layerWidth, layerHeight, left, top, canvasWidth, canvasHeight) {
+  const x0 = Math.max(0, left);
+  const y0 = Math.max(0, top);
+  const x1 = Math.min(canvasWidth, left + layerWidth);
+  const y1 = Math.min(canvasHeight, top + layerHeight);
+
+  if (x1 <= x0 || y1 <= y0) {
+    return null;
+  }
+
+  const width = x1 - x0;
+  const height = y1 - y0;
+  const cropped = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sourceStart = ((y0 - top + y) * layerWidth + (x0 - left)) * 4;
+    pixels.copy(cropped, y * width * 4, sourceStart, sourceStart + width * 4);
+  }
+
+  return { pixels: cropped, width, height, left: x0, top: y0 };
+}
+
+async function compositeRaw(base, width, height, overlays) {
+  return sharp(base, { raw: { width, height, channels: 4 } })
+    .composite(overlays)
+    .raw()
+    .toBuffer();
+}
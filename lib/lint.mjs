@@ -0,0 +1,145 @@
+/**
+ * Check where the content of adaptive icon layers ends up
+ *
+ * The renders are scaled into the 66dp safe area without looking at what's in
+ * them, so artwork that fills the Apple canvas reaches into the corners, where
+ * launcher masks cut it off, and small artwork ends up tiny. The checks run on
+ * 108dp layer images (as written to the mipmap directories) and report
+ * everything in dp, measured from the center of the layer.
+ */
+
+import sharp from 'sharp';
+
+import { MASK_SHAPES } from './preview.mjs';
+
+/**
+ * Default thresholds
+ */
+export const LINT_DEFAULTS = {
+  alphaThreshold: 26, // Pixels with a lower alpha (about 10%) aren't content
+  tolerance: 0.002, // Share of the content that may be outside a boundary (antialiasing)
+  minContentSizeDp: 36 // Content smaller than this on both sides looks tiny on a launcher
+};
+
+const LAYER_SIZE_DP = 108;
+const SAFE_ZONE_RADIUS_DP = 33;
+
+/**
+ * Measure the content of a 108dp layer image
+ *
+ * Shares are weighted by alpha, so a half-transparent pixel counts half.
+ *
+ * @param {string|Buffer} layerImage - Path or buffer of the layer image (any size, square)
+ * @param {number} alphaThreshold - Minimum alpha (0-255) of a content pixel
+ * @returns {Promise<Object>} { empty, bounds: {left, top, right, bottom}, size: {width, height},
+ *   maxRadius, outsideSafeZone, clippedByMask: {<shape>: share} }; lengths are in dp, shares in 0-1
+ */
+export async function analyzeLayer(layerImage, { alphaThreshold = LINT_DEFAULTS.alphaThreshold } = {}) {
+  const { data, info } = await sharp(layerImage).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  if (width !== height) {
+    throw new Error(`Layer image must be square (got ${width}x${height})`);
+  }
+
+  const pixelsPerDp = width / LAYER_SIZE_DP;
+  const center = width / 2;
+  const masks = {};
+  for (const shape of Object.keys(MASK_SHAPES)) {
+    masks[shape] = await renderMask(shape, width);
+  }
+
+  let total = 0;
+  let outside = 0;
+  let maxRadius = 0;
+  const clipped = Object.fromEntries(Object.keys(masks).map(shape => [shape, 0]));
+  let left = width, top = height, right = -1, bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const alpha = data[index * 4 + 3];
+      if (alpha < alphaThreshold) continue;
+
+      const coverage = alpha / 255;
+      total += coverage;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+
+      const radius = Math.hypot(x + 0.5 - center, y + 0.5 - center) / pixelsPerDp;
+      maxRadius = Math.max(maxRadius, radius);
+      if (radius > SAFE_ZONE_RADIUS_DP) outside += coverage;
+
+      for (const [shape, mask] of Object.entries(masks)) {
+        clipped[shape] += coverage * (1 - mask[index] / 255);
+      }
+    }
+  }
+
+  if (total === 0) {
+    return { empty: true, bounds: null, size: null, maxRadius: 0, outsideSafeZone: 0, clippedByMask: clipped };
+  }
+
+  // Bounds relative to the top left of the layer
+  const toDp = (pixels) => round(pixels / pixelsPerDp);
+  return {
+    empty: false,
+    bounds: { left: toDp(left), top: toDp(top), right: toDp(right + 1), bottom: toDp(bottom + 1) },
+    size: { width: toDp(right + 1 - left), height: toDp(bottom + 1 - top) },
+    maxRadius: round(maxRadius),
+    outsideSafeZone: round(outside / total, 4),
+    clippedByMask: Object.fromEntries(Object.entries(clipped).map(([shape, amount]) => [shape, round(amount / total, 4)]))
+  };
+}
+
+/**
+ * Check layers and collect warnings
+ *
+ * @param {Object} layers - Layer images by name (e.g., { foreground, monochrome }); null entries are skipped
+ * @param {Object} options - Thresholds, overriding LINT_DEFAULTS
+ * @returns {Promise<{passed: boolean, thresholds: Object, layers: Object, warnings: Array<{layer, code, message}>}>}
+ *   Warning codes: empty, outside-safe-zone, clipped-by-mask, too-small
+ */
+export async function lintLayers(layers, options = {}) {
+  const thresholds = { ...LINT_DEFAULTS, ...options };
+  const results = {};
+  const warnings = [];
+  const percent = (share) => `${round(share * 100, 1)}%`;
+
+  for (const [layer, image] of Object.entries(layers)) {
+    if (!image) continue;
+    const analysis = await analyzeLayer(image, thresholds);
+    results[layer] = analysis;
+    const warn = (code, message) => warnings.push({ layer, code, message });
+
+    if (analysis.empty) {
+      warn('empty', 'Layer has no visible content');
+      continue;
+    }
+    if (analysis.outsideSafeZone > thresholds.tolerance) {
+      warn('outside-safe-zone', `${percent(analysis.outsideSafeZone)} of the content is outside the 66dp safe zone (it reaches ${analysis.maxRadius}dp from the center)`);
+    }
+    const clippedShapes = Object.entries(analysis.clippedByMask).filter(([, share]) => share > thresholds.tolerance);
+    if (clippedShapes.length > 0) {
+      warn('clipped-by-mask', `Content is cut off by the ${clippedShapes.map(([shape, share]) => `${shape} (${percent(share)})`).join(', ')} mask${clippedShapes.length > 1 ? 's' : ''}`);
+    }
+    if (Math.max(analysis.size.width, analysis.size.height) < thresholds.minContentSizeDp) {
+      warn('too-small', `Content is only ${analysis.size.width}x${analysis.size.height}dp, so it will look tiny on a launcher (at least ${thresholds.minContentSizeDp}dp expected)`);
+    }
+  }
+
+  return { passed: warnings.length === 0, thresholds, layers: results, warnings };
+}
+
+// Alpha of a mask over a whole layer: the mask's 100 x 100 box is the 72dp viewport
+async function renderMask(shape, size) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="-25 -25 150 150">` +
+    `<path d="${MASK_SHAPES[shape]}" fill="#fff"/></svg>`;
+  return sharp(Buffer.from(svg)).ensureAlpha().extractChannel('alpha').raw().toBuffer();
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
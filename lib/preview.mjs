@@ -0,0 +1,288 @@
+/**
+ * Preview generated adaptive icons under launcher masks
+ *
+ * Launchers clip the 72dp viewport of an adaptive icon with the mask path from
+ * the device configuration (config_icon_mask, in a 100 x 100 box, see
+ * specs/AdaptiveIconDrawable.java). The preview composites the background and
+ * foreground layers that an adaptive-icon XML references, clips them with the
+ * masks AOSP ships as icon shape overlays, and adds a themed icon (the
+ * monochrome layer tinted like Android 13+ launchers do), so the result can be
+ * checked without installing an APK.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+import { DEFAULT_RESOURCE_NAMES } from './android-resources.mjs';
+import { renderDrawable, findResourceFile } from './drawable-renderer.mjs';
+
+/**
+ * Icon masks in the 100 x 100 config_icon_mask coordinate space
+ */
+export const MASK_SHAPES = {
+  circle: 'M50,0A50,50,0,1,1,50,100A50,50,0,1,1,50,0Z',
+  squircle: 'M50,0C10,0 0,10 0,50 0,90 10,100 50,100 90,100 100,90 100,50 100,10 90,0 50,0Z',
+  'rounded-square': 'M50,0L92,0C96.42,0 100,4.58 100,8L100,92C100,96.42 96.42,100 92,100L8,100C4.58,100 0,96.42 0,92L0,8C0,4.42 4.42,0 8,0L50,0Z',
+  teardrop: 'M50,0L88,0C94.4,0 100,5.4 100,12L100,50C100,77.6 77.6,100 50,100C22.4,100 0,77.6 0,50C0,22.4 22.4,0 50,0Z'
+};
+
+/**
+ * Colors of the themed icon preview (the default Material You palette)
+ */
+export const THEMED_COLORS = {
+  light: { background: '#d3e3fd', foreground: '#041e49' },
+  night: { background: '#0b2e5c', foreground: '#d3e3fd' }
+};
+
+export const DEFAULT_TILE_SIZE = 192;
+
+const COLUMNS = [
+  { key: 'layers', label: 'Layers (108dp)' },
+  { key: 'circle', label: 'Circle' },
+  { key: 'squircle', label: 'Squircle' },
+  { key: 'rounded-square', label: 'Rounded square' },
+  { key: 'teardrop', label: 'Teardrop' },
+  { key: 'themed', label: 'Themed' }
+];
+
+// Guide colors: the 66dp safe zone and the 72dp viewport
+const SAFE_ZONE_GUIDE_COLOR = '#ff00ff';
+const VIEWPORT_GUIDE_COLOR = '#00c0ff';
+
+/**
+ * Write a preview sheet of an adaptive icon under every mask
+ *
+ * Each row is an appearance (night is added when the res directory has
+ * night-qualified layers); the columns are the unmasked 108dp layers, the
+ * masked icon for each of MASK_SHAPES, and the themed icon (circle mask, only
+ * when the icon has a monochrome layer). Layers are read from the densest
+ * bucket available.
+ *
+ * @param {string} resDir - Resource directory containing mipmap-anydpi-v26/<iconName>.xml
+ * @param {string} outputPath - Path of the sheet: .html for a web page, otherwise a PNG
+ * @param {string} iconName - Adaptive icon resource name (default: ic_launcher)
+ * @param {number} tileSize - Size of each preview in pixels, the 72dp viewport (default: 192)
+ * @param {boolean} guides - Outline the 66dp safe zone and the 72dp viewport
+ * @returns {Promise<{outputPath: string, rows: string[], columns: string[]}>}
+ */
+export async function createPreviewSheet(resDir, outputPath, {
+  iconName = DEFAULT_RESOURCE_NAMES.icon,
+  tileSize = DEFAULT_TILE_SIZE,
+  guides = false
+} = {}) {
+  if (!Number.isInteger(tileSize) || tileSize < 16) {
+    throw new Error(`Tile size must be an integer of at least 16 (got ${tileSize})`);
+  }
+
+  const layers = await readAdaptiveIcon(resDir, iconName);
+  const appearances = ['light'];
+  const nightLayers = await resolveLayers(resDir, layers, true);
+  if (Object.values(nightLayers).some(layer => layer?.night)) {
+    appearances.push('night');
+  }
+
+  const rows = [];
+  for (const appearance of appearances) {
+    const files = appearance === 'night' ? nightLayers : await resolveLayers(resDir, layers, false);
+    rows.push({ label: appearance === 'night' ? 'Night' : 'Day', tiles: await renderTiles(resDir, files, appearance, tileSize, guides) });
+  }
+
+  const columns = COLUMNS.filter(column => rows.some(row => row.tiles[column.key]));
+  await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  if (path.extname(outputPath).toLowerCase() === '.html') {
+    await fs.writeFile(outputPath, formatHtml(iconName, columns, rows, tileSize), 'utf-8');
+  } else {
+    await writeSheetPng(outputPath, columns, rows, tileSize);
+  }
+
+  return {
+    outputPath,
+    rows: rows.map(row => row.label),
+    columns: columns.map(column => column.label)
+  };
+}
+
+/**
+ * Read the layer references of an adaptive-icon XML
+ *
+ * @returns {Promise<Object>} { background, foreground, monochrome? }, each { type: 'drawable' | 'mipmap', name }
+ */
+export async function readAdaptiveIcon(resDir, iconName = DEFAULT_RESOURCE_NAMES.icon) {
+  const xmlPath = path.join(resDir, 'mipmap-anydpi-v26', `${iconName}.xml`);
+  let xml;
+  try {
+    xml = await fs.readFile(xmlPath, 'utf-8');
+  } catch {
+    throw new Error(`No adaptive icon at ${xmlPath}`);
+  }
+
+  const layers = {};
+  for (const [, layer, type, name] of xml.matchAll(/<(background|foreground|monochrome)\s+android:drawable="@(drawable|mipmap)\/(\w+)"/g)) {
+    layers[layer] = { type, name };
+  }
+  if (!layers.background || !layers.foreground) {
+    throw new Error(`${xmlPath} has no background or foreground drawable`);
+  }
+  return layers;
+}
+
+/**
+ * Find the file of each layer, preferring night-qualified directories when night is set
+ */
+async function resolveLayers(resDir, layers, night) {
+  const files = {};
+  for (const [layer, reference] of Object.entries(layers)) {
+    files[layer] = await findResourceFile(resDir, reference, night);
+  }
+  return files;
+}
+
+/**
+ * Render the tiles of one row, keyed by column
+ */
+async function renderTiles(resDir, files, appearance, tileSize, guides) {
+  // The 72dp viewport spans the tile, so the 108dp layers are 1.5x larger
+  const layerSize = Math.round(tileSize * 108 / 72);
+  const offset = Math.floor((layerSize - tileSize) / 2);
+
+  const night = appearance === 'night';
+  const background = await renderDrawable(files.background.file, layerSize, { resDir, night });
+  const foreground = await renderDrawable(files.foreground.file, layerSize, { resDir, night });
+  const layered = await sharp(background).composite([{ input: foreground }]).png().toBuffer();
+
+  const tiles = {};
+  tiles.layers = await sharp(layered)
+    .resize(tileSize, tileSize)
+    .composite(guides ? [{ input: layerGuidesSvg(tileSize) }] : [])
+    .png()
+    .toBuffer();
+
+  const viewport = await sharp(layered)
+    .extract({ left: offset, top: offset, width: tileSize, height: tileSize })
+    .png()
+    .toBuffer();
+  for (const shape of Object.keys(MASK_SHAPES)) {
+    tiles[shape] = await maskTile(viewport, shape, tileSize, guides);
+  }
+
+  if (files.monochrome) {
+    // Only the monochrome layer's alpha is used; the launcher tints it
+    const colors = THEMED_COLORS[appearance];
+    const monochrome = await renderDrawable(files.monochrome.file, layerSize, { resDir, night });
+    const mask = await sharp(monochrome)
+      .extract({ left: offset, top: offset, width: tileSize, height: tileSize })
+      .extractChannel('alpha')
+      .raw()
+      .toBuffer();
+    const tint = await sharp({ create: { width: tileSize, height: tileSize, channels: 3, background: colors.foreground } })
+      .joinChannel(mask, { raw: { width: tileSize, height: tileSize, channels: 1 } })
+      .png()
+      .toBuffer();
+    const themed = await sharp({ create: { width: tileSize, height: tileSize, channels: 4, background: colors.background } })
+      .composite([{ input: tint }])
+      .png()
+      .toBuffer();
+    tiles.themed = await maskTile(themed, 'circle', tileSize, guides);
+  }
+
+  return tiles;
+}
+
+async function maskTile(image, shape, tileSize, guides) {
+  const mask = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${tileSize}" height="${tileSize}" viewBox="0 0 100 100">` +
+    `<path d="${MASK_SHAPES[shape]}" fill="#fff"/></svg>`
+  );
+  const masked = await sharp(image).composite([{ input: mask, blend: 'dest-in' }]).png().toBuffer();
+  if (!guides) return masked;
+  return sharp(masked).composite([{ input: viewportGuidesSvg(tileSize) }]).png().toBuffer();
+}
+
+// On the unmasked layers: the 72dp viewport, the 72dp circle and the 66dp safe zone
+function layerGuidesSvg(size) {
+  const dp = size / 108;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" fill="none" stroke-width="1.5">` +
+    `<rect x="${18 * dp}" y="${18 * dp}" width="${72 * dp}" height="${72 * dp}" stroke="${VIEWPORT_GUIDE_COLOR}"/>` +
+    `<circle cx="${size / 2}" cy="${size / 2}" r="${36 * dp}" stroke="${VIEWPORT_GUIDE_COLOR}"/>` +
+    `<circle cx="${size / 2}" cy="${size / 2}" r="${33 * dp}" stroke="${SAFE_ZONE_GUIDE_COLOR}" stroke-dasharray="4 3"/></svg>`
+  );
+}
+
+// On a masked tile (the 72dp viewport): the 72dp circle and the 66dp safe zone
+function viewportGuidesSvg(size) {
+  const dp = size / 72;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" fill="none" stroke-width="1.5">` +
+    `<circle cx="${size / 2}" cy="${size / 2}" r="${36 * dp - 0.75}" stroke="${VIEWPORT_GUIDE_COLOR}"/>` +
+    `<circle cx="${size / 2}" cy="${size / 2}" r="${33 * dp}" stroke="${SAFE_ZONE_GUIDE_COLOR}" stroke-dasharray="4 3"/></svg>`
+  );
+}
+
+/**
+ * Lay the tiles out on a light gray sheet, with a row of column labels and a column of row labels
+ */
+async function writeSheetPng(outputPath, columns, rows, tileSize) {
+  const gap = 16;
+  const labelHeight = 24;
+  const rowLabelWidth = 56;
+  const width = rowLabelWidth + columns.length * (tileSize + gap) + gap;
+  const height = labelHeight + rows.length * (tileSize + gap) + gap;
+  const tileLeft = (column) => rowLabelWidth + gap + column * (tileSize + gap);
+  const tileTop = (row) => labelHeight + gap + row * (tileSize + gap);
+
+  const labels = [
+    ...columns.map((column, index) =>
+      `<text x="${tileLeft(index) + tileSize / 2}" y="${labelHeight}" text-anchor="middle">${column.label}</text>`),
+    ...rows.map((row, index) =>
+      `<text x="${gap}" y="${tileTop(index) + tileSize / 2}">${row.label}</text>`)
+  ];
+  const overlays = [{
+    input: Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="13" fill="#333">${labels.join('')}</svg>`
+    ),
+    left: 0,
+    top: 0
+  }];
+  rows.forEach((row, rowIndex) => {
+    columns.forEach((column, columnIndex) => {
+      if (row.tiles[column.key]) {
+        overlays.push({ input: row.tiles[column.key], left: tileLeft(columnIndex), top: tileTop(rowIndex) });
+      }
+    });
+  });
+
+  await sharp({ create: { width, height, channels: 4, background: '#eeeeee' } })
+    .composite(overlays)
+    .png()
+    .toFile(outputPath);
+}
+
+function formatHtml(iconName, columns, rows, tileSize) {
+  const cell = (tile, label) => tile
+    ? `<td><img src="data:image/png;base64,${tile.toString('base64')}" width="${tileSize}" height="${tileSize}" alt="${label}"></td>`
+    : '<td></td>';
+  const body = rows.map(row =>
+    `    <tr><th>${row.label}</th>${columns.map(column => cell(row.tiles[column.key], column.label)).join('')}</tr>`
+  );
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${iconName} preview</title>
+  <style>
+    body { font-family: sans-serif; background: #eee; color: #333; }
+    td, th { padding: 8px; font-weight: normal; }
+  </style>
+</head>
+<body>
+  <table>
+    <tr><th></th>${columns.map(column => `<th>${column.label}</th>`).join('')}</tr>
+${body.join('\n')}
+  </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,200 @@
+/**
+ * Renderer backends that turn an Icon Composer file into PNGs
+ *
+ * Every renderer exposes the same interface:
+ * - name: Short identifier ('ictool', 'js', or 'prerendered')
+ * - verify(): Throws if the renderer can't be used in this environment
+ * - version(): What its renders depend on besides the icon, for the render cache
+ *   (the Xcode version for ictool), or null if it has none
+ * - hasRendition(rendition): Whether it can export a rendition (only pre-rendered PNGs can be missing)
+ * - exportFull(iconFolder, outputPath, options): Export the full icon (background + foreground)
+ * - exportBackground(iconFolder, outputPath, options): Export the canvas fill only
+ * - exportOnSolidFill(iconFolder, outputPath, options, color): Export the full icon with the
+ *   canvas fill replaced by solid 'black' or 'white'
+ *
+ * options are { width, height, platform, rendition }, as accepted by exportImage().
+ *
+ * Renderers of the .icon folder can also turn Liquid Glass effects off in
+ * every export (disableEffects, see createWithoutEffectsJson()).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import sharp from 'sharp';
+
+import { readIconJson, createBackgroundOnlyJson, createSolidFillJson, createWithoutEffectsJson, writeIconJson } from './icon-utils.mjs';
+import { exportImage, verifyIctoolExists, getIctoolVersion } from './ictool-wrapper.mjs';
+import { renderImage, JS_RENDERER_VERSION } from './js-renderer.mjs';
+
+export const RENDERER_NAMES = ['ictool', 'js', 'prerendered'];
+
+/**
+ * Create a renderer by name
+ *
+ * @param {string} name - 'ictool', 'js', or 'prerendered'
+ * @param {string} prerenderedDir - Directory of PNGs exported from Icon Composer (required for 'prerendered')
+ * @param {string[]|Object} disableEffects - Liquid Glass effects to turn off (not for 'prerendered')
+ */
+export function createRenderer(name, { prerenderedDir = null, disableEffects = null } = {}) {
+  switch (name) {
+    case 'ictool':
+      return createIconFolderRenderer('ictool', exportImage, verifyIctoolExists, getIctoolVersion, disableEffects);
+    case 'js':
+      return createIconFolderRenderer('js', renderImage, async () => true, async () => String(JS_RENDERER_VERSION), disableEffects);
+    case 'prerendered':
+      if (!prerenderedDir) {
+        throw new Error('The prerendered renderer requires a directory of exported PNGs');
+      }
+      if (disableEffects) {
+        throw new Error('Liquid Glass effects can\'t be turned off in pre-rendered images; export them from Icon Composer without the effects instead');
+      }
+      return createPrerenderedRenderer(prerenderedDir);
+    default:
+      throw new Error(`Unknown renderer: ${name} (expected one of: ${RENDERER_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Pick ictool if it's installed, otherwise the JavaScript renderer
+ *
+ * @param {string[]|Object} disableEffects - Liquid Glass effects to turn off
+ * @returns {Promise<{renderer: Object, fallbackReason: string|null}>}
+ */
+export async function selectDefaultRenderer({ disableEffects = null } = {}) {
+  const ictool = createRenderer('ictool', { disableEffects });
+  try {
+    await ictool.verify();
+    return { renderer: ictool, fallbackReason: null };
+  } catch (error) {
+    return { renderer: createRenderer('js', { disableEffects }), fallbackReason: error.message };
+  }
+}
+
+/**
+ * Renderer that renders the .icon folder itself (ictool or the JavaScript renderer)
+ *
+ * The background and the solid fill renders are made from a temporary copy
+ * of the icon with a modified icon.json (all groups removed, or the canvas
+ * fill replaced). With disableEffects, every render is, with the effects
+ * turned off first.
+ */
+function createIconFolderRenderer(name, exportFn, verify, version, disableEffects) {
+  const withoutEffects = (iconData) => disableEffects ? createWithoutEffectsJson(iconData, disableEffects) : iconData;
+
+  async function exportModified(iconFolder, outputPath, options, modifyIconData) {
+    const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'icon-modified-'));
+    try {
+      const tempIconFolder = path.join(tempDir, path.basename(iconFolder));
+      await fs.mkdir(tempIconFolder, { recursive: true });
+
+      // Copy Assets folder to temp (ictool needs it)
+      await fs.cp(
+        path.join(iconFolder, 'Assets'),
+        path.join(tempIconFolder, 'Assets'),
+        { recursive: true, force: true }
+      ).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+
+      const iconData = await readIconJson(iconFolder);
+      await writeIconJson(tempIconFolder, modifyIconData(iconData));
+      await exportFn(tempIconFolder, outputPath, options);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    name,
+    verify,
+    version,
+
+    async hasRendition() {
+      return true;
+    },
+
+    async exportFull(iconFolder, outputPath, options) {
+      if (disableEffects) {
+        await exportModified(iconFolder, outputPath, options, withoutEffects);
+      } else {
+        await exportFn(iconFolder, outputPath, options);
+      }
+    },
+
+    async exportBackground(iconFolder, outputPath, options) {
+      await exportModified(iconFolder, outputPath, options, (iconData) => createBackgroundOnlyJson(withoutEffects(iconData)));
+    },
+
+    async exportOnSolidFill(iconFolder, outputPath, options, color) {
+      await exportModified(iconFolder, outputPath, options, (iconData) => createSolidFillJson(withoutEffects(iconData), color));
+    }
+  };
+}
+
+/**
+ * Renderer that reads PNGs already exported from Icon Composer on a Mac
+ *
+ * The directory must contain, for each rendition used:
+ * - <Rendition>.png (e.g., Default.png, ClearLight.png): the full icon
+ * - <Rendition>-background.png (e.g., Default-background.png): the icon with all groups hidden
+ * - <Rendition>-black.png and <Rendition>-white.png: the full icon with the
+ *   canvas fill set to solid black and solid white (only for black-white matting)
+ *
+ * File names are matched case-insensitively. Images are resized if they
+ * don't match the requested size.
+ */
+function createPrerenderedRenderer(prerenderedDir) {
+  async function findImage(rendition, suffix) {
+    const expected = `${rendition}${suffix}.png`.toLowerCase();
+    const files = await fs.readdir(prerenderedDir);
+    const match = files.find(file => file.toLowerCase() === expected);
+    if (!match) {
+      throw new Error(`Pre-rendered image ${rendition}${suffix}.png not found in ${prerenderedDir}`);
+    }
+    return path.join(prerenderedDir, match);
+  }
+
+  async function copyImage(rendition, suffix, outputPath, { width = 1024, height = 1024 } = {}) {
+    const sourcePath = await findImage(rendition, suffix);
+    const metadata = await sharp(sourcePath).metadata();
+    if (metadata.width === width && metadata.height === height) {
+      await fs.copyFile(sourcePath, outputPath);
+    } else {
+      await sharp(sourcePath).resize(width, height, { fit: 'fill' }).png().toFile(outputPath);
+    }
+  }
+
+  return {
+    name: 'prerendered',
+
+    async verify() {
+      try {
+        await fs.access(prerenderedDir);
+        return true;
+      } catch {
+        throw new Error(`Pre-rendered image directory not found at ${prerenderedDir}`);
+      }
+    },
+
+    async version() {
+      return null;
+    },
+
+    async hasRendition(rendition) {
+      return findImage(rendition, '').then(() => true, () => false);
+    },
+
+    async exportFull(iconFolder, outputPath, { rendition = 'Default', ...options } = {}) {
+      await copyImage(rendition, '', outputPath, options);
+    },
+
+    async exportBackground(iconFolder, outputPath, { rendition = 'Default', ...options } = {}) {
+      await copyImage(rendition, '-background', outputPath, options);
+    },
+
+    async exportOnSolidFill(iconFolder, outputPath, { rendition = 'Default', ...options } = {}, color) {
+      await copyImage(rendition, `-${color}`, outputPath, options);
+    }
+  };
+}
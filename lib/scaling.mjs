@@ -0,0 +1,119 @@
+/**
+ * Where the Apple canvas goes in the 108dp adaptive icon layer
+ *
+ * A placement is the square of the layer, in dp, that the whole canvas is
+ * scaled onto: { x, y, size }. Scaling strategies produce placements:
+ * - safe-zone: the canvas fills the 66dp safe area (the default; artwork that
+ *   is inset on the canvas, like most iOS icons, ends up smaller than on iOS)
+ * - full-bleed: the canvas fills the whole 108dp layer
+ * - trim: the bounding box of the content is centered, with its corners on
+ *   the 66dp safe circle
+ * - { scale, offsetX, offsetY }: the safe-zone placement scaled around the
+ *   center of the layer, then moved by the offsets (in dp)
+ *
+ * The background follows the foreground's placement, so the artwork stays on
+ * the canvas fill it was designed on.
+ */
+
+import sharp from 'sharp';
+
+export const SCALING_STRATEGIES = ['safe-zone', 'full-bleed', 'trim'];
+
+export const SAFE_ZONE_PLACEMENT = { x: 21, y: 21, size: 66 };
+
+const LAYER_SIZE_DP = 108;
+const SAFE_ZONE_RADIUS_DP = 33;
+
+// Pixels with a lower alpha (about 10%, as in the lint) don't count as content when trimming
+const CONTENT_ALPHA_THRESHOLD = 26;
+
+/**
+ * Validate a scaling strategy
+ *
+ * Strings are strategy names or "<scale>[,<offsetX>,<offsetY>]" (e.g., "1.2" or "1.1,0,-2").
+ *
+ * @param {string|Object} scaling - Strategy name, string, or { scale, offsetX, offsetY }
+ * @returns {string|{scale: number, offsetX: number, offsetY: number}}
+ */
+export function parseScaling(scaling) {
+  if (SCALING_STRATEGIES.includes(scaling)) {
+    return scaling;
+  }
+
+  let values = scaling;
+  if (typeof scaling === 'string') {
+    const [scale, offsetX = 0, offsetY = 0, ...rest] = scaling.split(',').map(value => value.trim() === '' ? NaN : Number(value));
+    values = rest.length > 0 ? {} : { scale, offsetX, offsetY };
+  }
+
+  const { scale, offsetX = 0, offsetY = 0 } = values ?? {};
+  if (!(scale > 0) || !Number.isFinite(scale) || !Number.isFinite(offsetX) || !Number.isFinite(offsetY)) {
+    throw new Error(`Invalid scaling "${typeof scaling === 'object' ? JSON.stringify(scaling) : scaling}" (expected ${SCALING_STRATEGIES.join(', ')}, or <scale>[,<offsetX>,<offsetY>])`);
+  }
+  return { scale, offsetX, offsetY };
+}
+
+/**
+ * Turn a scaling strategy into a placement
+ *
+ * @param {string|Object} scaling - See parseScaling()
+ * @param {string} contentPath - Image of the layer content on the canvas (needed for trim)
+ * @returns {Promise<{x: number, y: number, size: number}>} In dp; an empty layer keeps the safe-zone placement with trim
+ */
+export async function resolvePlacement(scaling, contentPath = null) {
+  const strategy = parseScaling(scaling);
+
+  if (strategy === 'safe-zone') {
+    return SAFE_ZONE_PLACEMENT;
+  }
+  if (strategy === 'full-bleed') {
+    return { x: 0, y: 0, size: LAYER_SIZE_DP };
+  }
+  if (strategy === 'trim') {
+    const bounds = await findContentBounds(contentPath);
+    if (!bounds) return SAFE_ZONE_PLACEMENT;
+
+    // Half the diagonal of the content box becomes the safe circle's radius
+    const halfDiagonal = Math.hypot(bounds.right - bounds.left, bounds.bottom - bounds.top) / 2;
+    const dpPerPixel = SAFE_ZONE_RADIUS_DP / halfDiagonal;
+    const center = LAYER_SIZE_DP / 2;
+    return {
+      x: center - dpPerPixel * (bounds.left + bounds.right) / 2,
+      y: center - dpPerPixel * (bounds.top + bounds.bottom) / 2,
+      size: dpPerPixel * bounds.width
+    };
+  }
+
+  const { scale, offsetX, offsetY } = strategy;
+  const size = SAFE_ZONE_PLACEMENT.size * scale;
+  return {
+    x: (LAYER_SIZE_DP - size) / 2 + offsetX,
+    y: (LAYER_SIZE_DP - size) / 2 + offsetY,
+    size
+  };
+}
+
+/**
+ * Bounding box of the content pixels of an image, or null if there are none
+ *
+ * @returns {Promise<{left, top, right, bottom, width}|null>} right and bottom are exclusive; width is the image width
+ */
+async function findContentBounds(imagePath) {
+  if (!imagePath) {
+    throw new Error('Trim scaling needs the layer content');
+  }
+  const { data, info } = await sharp(imagePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  let left = info.width, top = info.height, right = 0, bottom = 0;
+
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * 4 + 3] < CONTENT_ALPHA_THRESHOLD) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x + 1);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y + 1);
+    }
+  }
+
+  return right > left ? { left, top, right, bottom, width: info.width } : null;
+}
@@ -0,0 +1,12 @@
+/**
+ * Worker thread for extractForeground() and matteForeground(): runs a kernel
+ * from lib/unmix.mjs over one band of pixels in shared buffers
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+
+import { KERNELS } from './unmix.mjs';
+
+const { kernel, first, second, output, start, end } = workerData;
+KERNELS[kernel](new Uint8Array(first), new Uint8Array(second), new Uint8Array(output), start, end);
+parentPort.postMessage('done');
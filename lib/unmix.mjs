@@ -0,0 +1,154 @@
+/**
+ * Separate a foreground from the background it was composited over
+ *
+ * Kept free of dependencies, so worker threads can load it on their own.
+ * Kernels all take (first, second, output, start, end) pixel arguments.
+ */
+
+// Pixels whose channels all differ by less than this (0-255) are background
+export const UNMIX_THRESHOLD = 5;
+
+// The search makes a pixel transparent as noise when no alpha reproduces it within NOISE_MAX_ERROR
+// (summed over the channels) and it differs from the background by less than NOISE_MAX_DIFFERENCE
+export const NOISE_MAX_ERROR = 30;
+export const NOISE_MAX_DIFFERENCE = 15;
+
+const SEARCH_ALPHA_STEP = 0.01;
+
+/**
+ * Solve C_full = α × C_fg + (1-α) × C_bg for the pixels in [start, end) by
+ * searching for the best alpha
+ *
+ * Pixels within the threshold of the background become transparent. For the
+ * others, alphas are tried from the smallest the largest channel difference
+ * allows up to 1 in steps of 0.01, and the first that reproduces the pixel
+ * (or else the one with the least error, summed over the channels) is taken,
+ * with the foreground color solved for it and rounded. Pixels no alpha
+ * reproduces within NOISE_MAX_ERROR that barely differ from the background
+ * are dropped as noise.
+ *
+ * The result only depends on the color of the pixel and of the background
+ * under it, and icons have few distinct pairs, so each pair is solved once.
+ *
+ * @param {Uint8Array} full - RGBA pixels of the full icon
+ * @param {Uint8Array} background - RGBA pixels of the background only
+ * @param {Uint8Array} output - RGBA pixels of the foreground (written)
+ * @param {number} start - First pixel
+ * @param {number} end - Pixel after the last one
+ */
+export function unmixPixels(full, background, output, start, end) {
+  const solved = new Map(); // RGB of the pixel and of the background (48 bits) -> RGBA result (32 bits)
+
+  for (let i = start * 4; i < end * 4; i += 4) {
+    const fullR = full[i], fullG = full[i + 1], fullB = full[i + 2];
+    const backgroundR = background[i], backgroundG = background[i + 1], backgroundB = background[i + 2];
+
+    const maxDiff = Math.max(
+      Math.abs(fullR - backgroundR),
+      Math.abs(fullG - backgroundG),
+      Math.abs(fullB - backgroundB),
+      Math.abs(full[i + 3] - background[i + 3])
+    );
+    if (maxDiff < UNMIX_THRESHOLD) {
+      output[i] = output[i + 1] = output[i + 2] = output[i + 3] = 0;
+      continue;
+    }
+
+    const key = ((fullR << 16) | (fullG << 8) | fullB) * 0x1000000 + ((backgroundR << 16) | (backgroundG << 8) | backgroundB);
+    let result = solved.get(key);
+    if (result === undefined) {
+      result = searchAlpha(fullR, fullG, fullB, backgroundR, backgroundG, backgroundB);
+      solved.set(key, result);
+    }
+    output[i] = result >>> 24;
+    output[i + 1] = (result >>> 16) & 0xff;
+    output[i + 2] = (result >>> 8) & 0xff;
+    output[i + 3] = result & 0xff;
+  }
+}
+
+/**
+ * Solve alpha and color exactly for the pixels in [start, end), from renders
+ * of the icon over solid black and solid white
+ *
+ * Over black, a pixel is α × C_fg; over white, α × C_fg + (1-α) × 255. So
+ * each channel gives α = 1 - (C_white - C_black) / 255 (the channels are
+ * averaged), and C_fg = C_black / α. Pixels the renders leave partly
+ * transparent (outside the icon shape) are handled premultiplied, so the
+ * foreground keeps that coverage.
+ *
+ * @param {Uint8Array} black - RGBA pixels of the icon over black
+ * @param {Uint8Array} white - RGBA pixels of the icon over white
+ * @param {Uint8Array} output - RGBA pixels of the foreground (written)
+ * @param {number} start - First pixel
+ * @param {number} end - Pixel after the last one
+ */
+export function matteBlackWhitePixels(black, white, output, start, end) {
+  for (let i = start * 4; i < end * 4; i += 4) {
+    const blackCoverage = black[i + 3] / 255;
+    const whiteCoverage = white[i + 3] / 255;
+
+    let alphaSum = 0;
+    for (let channel = 0; channel < 3; channel++) {
+      alphaSum += whiteCoverage - (white[i + channel] * whiteCoverage - black[i + channel] * blackCoverage) / 255;
+    }
+    const alpha8 = clampByte(alphaSum / 3 * 255);
+
+    if (alpha8 === 0) {
+      output[i] = output[i + 1] = output[i + 2] = output[i + 3] = 0;
+      continue;
+    }
+
+    const scale = blackCoverage * 255 / alpha8;
+    output[i] = clampByte(black[i] * scale);
+    output[i + 1] = clampByte(black[i + 1] * scale);
+    output[i + 2] = clampByte(black[i + 2] * scale);
+    output[i + 3] = alpha8;
+  }
+}
+
+// Kernels by name, for the workers
+export const KERNELS = {
+  unmix: unmixPixels,
+  matteBlackWhite: matteBlackWhitePixels
+};
+
+// Search for the alpha of one pixel (see unmixPixels()); returns the foreground as RGBA packed in 32 bits
+function searchAlpha(fullR, fullG, fullB, backgroundR, backgroundG, backgroundB) {
+  // The foreground must differ from the background at least as much as the pixel does
+  const maxAbsDiff = Math.max(Math.abs(fullR - backgroundR), Math.abs(fullG - backgroundG), Math.abs(fullB - backgroundB));
+  const minAlpha = Math.max(SEARCH_ALPHA_STEP, maxAbsDiff / 255);
+
+  let bestAlpha = minAlpha;
+  let bestError = Infinity;
+  let bestR = 0, bestG = 0, bestB = 0;
+  for (let alpha = minAlpha; alpha <= 1.0; alpha += SEARCH_ALPHA_STEP) {
+    // C_fg = (C_full - (1-α) × C_bg) / α, rounded into 0-255
+    const r = clampByte((fullR - (1 - alpha) * backgroundR) / alpha);
+    const g = clampByte((fullG - (1 - alpha) * backgroundG) / alpha);
+    const b = clampByte((fullB - (1 - alpha) * backgroundB) / alpha);
+
+    // How far the foreground composited over the background is from the pixel
+    const error = Math.abs(alpha * r + (1 - alpha) * backgroundR - fullR) +
+      Math.abs(alpha * g + (1 - alpha) * backgroundG - fullG) +
+      Math.abs(alpha * b + (1 - alpha) * backgroundB - fullB);
+
+    if (error < bestError) {
+      bestError = error;
+      bestAlpha = alpha;
+      bestR = r;
+      bestG = g;
+      bestB = b;
+    }
+    if (error < 0.1) break;
+  }
+
+  if (bestError > NOISE_MAX_ERROR && maxAbsDiff < NOISE_MAX_DIFFERENCE) {
+    return 0;
+  }
+  return ((bestR << 24) | (bestG << 16) | (bestB << 8) | Math.round(bestAlpha * 255)) >>> 0;
+}
+
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
@@ -0,0 +1,697 @@
+/**
+ * Convert SVG layers of an Icon Composer file into Android vector drawables
+ *
+ * Each visible layer is placed on the 108dp adaptive icon canvas the same way
+ * the PNG foreground is (the 1024pt Apple canvas maps onto the 66dp safe area),
+ * using its position, scale, solid fill and opacity from icon.json.
+ *
+ * Layers that a VectorDrawable can't express (PNG assets, gradient fills, blend
+ * modes, SVG gradients, filters, masks, clip paths, text, embedded images,
+ * skewed transforms, dashed strokes) are reported so callers can fall back to
+ * PNG for them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { getSpecializedValue, parseColorString, colorToAndroidHex } from './icon-utils.mjs';
+import { SAFE_ZONE_PLACEMENT } from './scaling.mjs';
+
+// Icon Composer canvases are 1024x1024 points, mapped onto the 66dp safe area of the 108dp layer
+const CANVAS_SIZE_POINTS = 1024;
+const LAYER_SIZE_DP = 108;
+const SAFE_AREA_DP = 66;
+const DP_PER_POINT = SAFE_AREA_DP / CANVAS_SIZE_POINTS;
+
+// SVG elements that only hold definitions or metadata
+const IGNORED_ELEMENTS = new Set([
+  'defs', 'title', 'desc', 'metadata', 'style', 'linearGradient', 'radialGradient',
+  'filter', 'mask', 'clipPath', 'pattern', 'symbol', 'marker'
+]);
+
+// SVG elements that have no VectorDrawable equivalent
+const UNSUPPORTED_ELEMENTS = new Set([
+  'image', 'text', 'use', 'foreignObject', 'switch', 'svg', 'a'
+]);
+
+// Inherited SVG presentation properties
+const INHERITED_PROPERTIES = [
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'visibility', 'color'
+];
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  lime: '#00ff00',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  cyan: '#00ffff',
+  aqua: '#00ffff',
+  magenta: '#ff00ff',
+  fuchsia: '#ff00ff',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  maroon: '#800000',
+  olive: '#808000',
+  navy: '#000080',
+  purple: '#800080',
+  teal: '#008080',
+  orange: '#ffa500'
+};
+
+const LINECAPS = { butt: 'butt', round: 'round', square: 'square' };
+const LINEJOINS = { miter: 'miter', round: 'round', bevel: 'bevel' };
+
+/**
+ * Convert the visible layers of an icon into vector drawable runs
+ *
+ * Layers are returned bottom to top, grouped into runs of consecutive layers
+ * that either all convert cleanly (one vector drawable) or all need a bitmap.
+ *
+ * @param {string} iconFolder - Path to the .icon folder
+ * @param {Object} iconData - The icon.json data
+ * @param {string|null} appearance - 'dark', 'tinted', or null for Default (Light)
+ * @param {boolean} monochrome - Turn colors into a white alpha mask (luminance becomes alpha)
+ * @param {string} platform - Platform to export for (default: 'iOS')
+ * @param {Object} placement - Where the canvas goes in the layer (see lib/scaling.mjs; default: the safe area)
+ * @returns {Promise<{runs: Object[], fallbacks: Object[], warnings: string[]}>}
+ *   runs: { type: 'vector', xml, layers } or { type: 'bitmap', indices: [{ groupIndex, layerIndex }], layers }
+ *   fallbacks: { layer, reasons } for each layer that needs a bitmap
+ */
+export async function convertLayersToVectorDrawables(iconFolder, iconData, {
+  appearance = null,
+  monochrome = false,
+  platform = 'iOS',
+  placement = SAFE_ZONE_PLACEMENT
+} = {}) {
+  const context = { appearance, idiom: platform === 'watchOS' ? 'watchOS' : 'square' };
+  const runs = [];
+  const fallbacks = [];
+  const warnings = [];
+  let currentRun = null;
+
+  const groups = iconData.groups || [];
+  for (let groupIndex = groups.length - 1; groupIndex >= 0; groupIndex--) {
+    const group = groups[groupIndex];
+    if (getSpecializedValue(group, 'hidden', context)) continue;
+
+    const glassEffects = describeGlassEffects(group, context);
+    if (glassEffects.length > 0) {
+      warnings.push(`Group ${group.name || groupIndex + 1}: ${glassEffects.join(', ')} not reproduced in vector output`);
+    }
+
+    const layers = group.layers || [];
+    for (let layerIndex = layers.length - 1; layerIndex >= 0; layerIndex--) {
+      const layer = layers[layerIndex];
+      if (getSpecializedValue(layer, 'hidden', context)) continue;
+      if (!layer['image-name']) continue;
+
+      const layerName = layer.name || layer['image-name'];
+      const result = await convertLayer(iconFolder, group, layer, { ...context, monochrome });
+
+      const type = result.reasons.length > 0 ? 'bitmap' : 'vector';
+      if (currentRun?.type !== type) {
+        currentRun = type === 'vector'
+          ? { type, elements: [], layers: [] }
+          : { type, indices: [], layers: [] };
+        runs.push(currentRun);
+      }
+      currentRun.layers.push(layerName);
+
+      if (type === 'bitmap') {
+        fallbacks.push({ layer: layerName, reasons: result.reasons });
+        currentRun.indices.push({ groupIndex, layerIndex });
+      } else {
+        currentRun.elements.push(`    <!-- ${sanitizeComment(layerName)} -->`, ...result.lines);
+      }
+    }
+  }
+
+  return {
+    runs: runs.map(run => run.type === 'vector'
+      ? { type: 'vector', xml: wrapVector(run.elements, placement), layers: run.layers }
+      : run),
+    fallbacks,
+    warnings
+  };
+}
+
+/**
+ * Wrap vector drawable elements in a 108dp <vector>
+ * Content is clipped to the canvas, like the canvas crops the PNG foreground.
+ * Elements are laid out for the safe area; any other placement moves them
+ * with an outer group.
+ */
+export function wrapVector(elements = [], placement = SAFE_ZONE_PLACEMENT) {
+  const padding = (LAYER_SIZE_DP - SAFE_AREA_DP) / 2;
+  let content = [
+    `    <clip-path android:pathData="M${padding},${padding}h${SAFE_AREA_DP}v${SAFE_AREA_DP}h-${SAFE_AREA_DP}z" />`,
+    ...elements
+  ].join('\n');
+
+  if (placement.x !== padding || placement.y !== padding || placement.size !== SAFE_AREA_DP) {
+    const scale = placement.size / SAFE_AREA_DP;
+    content = [
+      '    <group',
+      `        android:scaleX="${formatNumber(scale)}"`,
+      `        android:scaleY="${formatNumber(scale)}"`,
+      `        android:translateX="${formatNumber(placement.x - padding * scale)}"`,
+      `        android:translateY="${formatNumber(placement.y - padding * scale)}">`,
+      content.replace(/^/gm, '    '),
+      '    </group>'
+    ].join('\n');
+  }
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<vector xmlns:android="http://schemas.android.com/apk/res/android"
+    android:width="${LAYER_SIZE_DP}dp"
+    android:height="${LAYER_SIZE_DP}dp"
+    android:viewportWidth="${LAYER_SIZE_DP}"
+    android:viewportHeight="${LAYER_SIZE_DP}">
+${content}
+</vector>
+`;
+}
+
+/**
+ * Convert one layer into indented vector drawable lines
+ *
+ * @returns {Promise<{lines: string[], reasons: string[]}>} reasons is non-empty if the layer can't be converted
+ */
+async function convertLayer(iconFolder, group, layer, context) {
+  const reasons = [];
+  const assetPath = path.join(iconFolder, 'Assets', layer['image-name']);
+
+  if (path.extname(assetPath).toLowerCase() !== '.svg') {
+    return { lines: [], reasons: ['bitmap asset'] };
+  }
+
+  const blendModes = [
+    getSpecializedValue(group, 'blend-mode', context),
+    getSpecializedValue(layer, 'blend-mode', context)
+  ];
+  if (blendModes.some(mode => mode && mode !== 'normal')) {
+    reasons.push('blend mode');
+  }
+
+  let fillColor = null;
+  const fill = getSpecializedValue(layer, 'fill', context);
+  if (fill === 'system-dark') {
+    fillColor = { r: 0, g: 0, b: 0, a: 1 };
+  } else if (fill === 'system-light') {
+    fillColor = { r: 255, g: 255, b: 255, a: 1 };
+  } else if (fill && typeof fill === 'object') {
+    if (fill.solid) {
+      fillColor = parseColorString(fill.solid);
+      if (!fillColor) reasons.push(`unparseable fill color ${fill.solid}`);
+    } else {
+      reasons.push('gradient layer fill');
+    }
+  }
+
+  const svgText = await fs.readFile(assetPath, 'utf-8');
+  const root = parseSvg(svgText);
+  if (!root) {
+    return { lines: [], reasons: [...reasons, 'not an SVG document'] };
+  }
+
+  const opacity = (getSpecializedValue(group, 'opacity', context) ?? 1) *
+    (getSpecializedValue(layer, 'opacity', context) ?? 1);
+
+  const converter = {
+    reasons: new Set(reasons),
+    classRules: parseClassRules(root),
+    fillColor,
+    monochrome: context.monochrome
+  };
+
+  // Place the SVG on the 108dp canvas like the JavaScript renderer does
+  const metadata = await sharp(assetPath).metadata();
+  const groupPosition = getSpecializedValue(group, 'position', context);
+  const layerPosition = getSpecializedValue(layer, 'position', context);
+  const groupScale = groupPosition?.scale ?? 1;
+  const [groupX, groupY] = groupPosition?.['translation-in-points'] ?? [0, 0];
+  const layerScale = layerPosition?.scale ?? 1;
+  const [layerX, layerY] = layerPosition?.['translation-in-points'] ?? [0, 0];
+
+  const widthDp = metadata.width * groupScale * layerScale * DP_PER_POINT;
+  const heightDp = metadata.height * groupScale * layerScale * DP_PER_POINT;
+  const centerX = LAYER_SIZE_DP / 2 + (groupX + groupScale * layerX) * DP_PER_POINT;
+  const centerY = LAYER_SIZE_DP / 2 + (groupY + groupScale * layerY) * DP_PER_POINT;
+
+  const viewBox = (root.attributes.viewBox || '').trim().split(/[\s,]+/).map(parseFloat);
+  const [viewX, viewY, viewWidth, viewHeight] = viewBox.length === 4 && viewBox.every(Number.isFinite)
+    ? viewBox
+    : [0, 0, parseLength(root.attributes.width) || metadata.width, parseLength(root.attributes.height) || metadata.height];
+
+  const inner = [];
+  const inherited = { fill: 'black', opacity };
+  for (const child of root.children) {
+    convertElement(child, inherited, converter, inner, 2);
+  }
+
+  // Offset by the viewBox origin in an inner group, since VectorDrawable groups scale before translating
+  const viewBoxGroup = viewX !== 0 || viewY !== 0
+    ? [
+        `        <group`,
+        `            android:translateX="${formatNumber(-viewX)}"`,
+        `            android:translateY="${formatNumber(-viewY)}">`,
+        ...inner.map(line => `    ${line}`),
+        `        </group>`
+      ]
+    : inner;
+
+  const lines = [
+    `    <group`,
+    `        android:translateX="${formatNumber(centerX - widthDp / 2)}"`,
+    `        android:translateY="${formatNumber(centerY - heightDp / 2)}"`,
+    `        android:scaleX="${formatNumber(widthDp / viewWidth)}"`,
+    `        android:scaleY="${formatNumber(heightDp / viewHeight)}">`,
+    ...viewBoxGroup,
+    `    </group>`
+  ];
+
+  return { lines, reasons: [...converter.reasons] };
+}
+
+/**
+ * Convert an SVG element (and its children) into vector drawable lines
+ */
+function convertElement(element, inherited, converter, lines, depth) {
+  const name = element.name;
+  if (name.includes(':') || IGNORED_ELEMENTS.has(name)) return;
+  if (UNSUPPORTED_ELEMENTS.has(name)) {
+    converter.reasons.add(`<${name}> element`);
+    return;
+  }
+
+  const style = resolveStyle(element, inherited, converter);
+  if (style.display === 'none') return;
+
+  for (const property of ['filter', 'mask', 'clip-path', 'marker-start', 'marker-mid', 'marker-end']) {
+    if (style[property] && style[property] !== 'none') {
+      converter.reasons.add(property);
+    }
+  }
+  if (style['mix-blend-mode'] && style['mix-blend-mode'] !== 'normal') {
+    converter.reasons.add('mix-blend-mode');
+  }
+
+  // Each transform becomes a nested <group>
+  const transforms = parseTransform(element.attributes.transform, converter);
+  const indent = (level) => '    '.repeat(level);
+  let level = depth;
+  for (const transform of transforms) {
+    lines.push(`${indent(level)}<group`);
+    const attributes = Object.entries(transform);
+    attributes.forEach(([attribute, value], index) => {
+      const end = index === attributes.length - 1 ? '>' : '';
+      lines.push(`${indent(level)}    android:${attribute}="${formatNumber(value)}"${end}`);
+    });
+    level++;
+  }
+
+  if (name === 'g') {
+    for (const child of element.children) {
+      convertElement(child, style, converter, lines, level);
+    }
+  } else {
+    const pathData = shapeToPathData(element);
+    if (pathData && style.visibility !== 'hidden') {
+      lines.push(...pathElement(pathData, style, converter, level));
+    } else if (pathData === null) {
+      converter.reasons.add(`<${name}> element`);
+    }
+  }
+
+  for (let i = transforms.length - 1; i >= 0; i--) {
+    level--;
+    lines.push(`${indent(level)}</group>`);
+  }
+}
+
+/**
+ * Build a <path> element from path data and resolved style
+ */
+function pathElement(pathData, style, converter, level) {
+  const indent = '    '.repeat(level);
+  const attributes = [`android:pathData="${pathData}"`];
+
+  const fill = paintColor(style.fill, style, converter);
+  if (fill) {
+    const alpha = formatNumber(fill.a * parseOpacity(style['fill-opacity']) * style.opacity);
+    attributes.push(`android:fillColor="${colorToAndroidHex({ ...fill, a: 1 })}"`);
+    if (alpha !== '1') attributes.push(`android:fillAlpha="${alpha}"`);
+    if (style['fill-rule'] === 'evenodd') attributes.push('android:fillType="evenOdd"');
+  }
+
+  const stroke = paintColor(style.stroke, style, converter);
+  const strokeWidth = style['stroke-width'] === undefined ? 1 : parseLength(style['stroke-width']);
+  if (stroke && strokeWidth > 0) {
+    if (style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none') {
+      converter.reasons.add('dashed stroke');
+    }
+    const alpha = formatNumber(stroke.a * parseOpacity(style['stroke-opacity']) * style.opacity);
+    attributes.push(`android:strokeColor="${colorToAndroidHex({ ...stroke, a: 1 })}"`);
+    attributes.push(`android:strokeWidth="${formatNumber(strokeWidth)}"`);
+    if (alpha !== '1') attributes.push(`android:strokeAlpha="${alpha}"`);
+    if (LINECAPS[style['stroke-linecap']]) attributes.push(`android:strokeLineCap="${LINECAPS[style['stroke-linecap']]}"`);
+    if (LINEJOINS[style['stroke-linejoin']]) attributes.push(`android:strokeLineJoin="${LINEJOINS[style['stroke-linejoin']]}"`);
+    if (style['stroke-miterlimit']) attributes.push(`android:strokeMiterLimit="${formatNumber(parseFloat(style['stroke-miterlimit']))}"`);
+  }
+
+  if (!fill && !(stroke && strokeWidth > 0)) {
+    return [];
+  }
+
+  return [
+    `${indent}<path`,
+    ...attributes.map((attribute, index) =>
+      `${indent}    ${attribute}${index === attributes.length - 1 ? ' />' : ''}`)
+  ];
+}
+
+/**
+ * Resolve an SVG paint (fill or stroke) to a color, applying the layer fill and monochrome mapping
+ *
+ * @returns {{r, g, b, a}|null} null for 'none'
+ */
+function paintColor(paint, style, converter) {
+  if (!paint || paint === 'none') return null;
+
+  let color;
+  if (converter.fillColor) {
+    // Icon Composer layer fills replace the asset's colors
+    color = converter.fillColor;
+  } else if (paint.startsWith('url(')) {
+    converter.reasons.add('SVG gradient or pattern paint');
+    return null;
+  } else {
+    color = parseSvgColor(paint === 'currentColor' ? (style.color || 'black') : paint);
+    if (!color) {
+      converter.reasons.add(`unsupported color ${paint}`);
+      return null;
+    }
+  }
+
+  if (converter.monochrome) {
+    const luminance = (0.2126 * color.r + 0.7152 * color.g + 0.0722 * color.b) / 255;
+    return { r: 255, g: 255, b: 255, a: color.a * luminance };
+  }
+  return color;
+}
+
+/**
+ * Compute an element's style from inherited properties, class rules,
+ * presentation attributes and the style attribute (in increasing priority)
+ */
+function resolveStyle(element, inherited, converter) {
+  const style = {};
+  for (const property of INHERITED_PROPERTIES) {
+    if (inherited[property] !== undefined) style[property] = inherited[property];
+  }
+
+  const own = {};
+  for (const className of (element.attributes.class || '').split(/\s+/).filter(Boolean)) {
+    Object.assign(own, converter.classRules[className]);
+  }
+  for (const [attribute, value] of Object.entries(element.attributes)) {
+    if (attribute !== 'style' && attribute !== 'transform' && attribute !== 'class') {
+      own[attribute] = value;
+    }
+  }
+  Object.assign(own, parseDeclarations(element.attributes.style || ''));
+
+  for (const [property, value] of Object.entries(own)) {
+    if (value !== 'inherit') style[property] = value;
+  }
+
+  // Opacity isn't inherited, but it multiplies down the tree
+  style.opacity = (inherited.opacity ?? 1) * parseOpacity(own.opacity);
+  return style;
+}
+
+/**
+ * Convert basic shapes to path data
+ *
+ * @returns {string|undefined|null} Path data, undefined for empty shapes, or null for unknown elements
+ */
+function shapeToPathData(element) {
+  const a = element.attributes;
+  const num = (value) => parseLength(value) || 0;
+
+  switch (element.name) {
+    case 'path':
+      return (a.d || '').replace(/\s+/g, ' ').trim() || undefined;
+    case 'rect': {
+      const x = num(a.x), y = num(a.y), width = num(a.width), height = num(a.height);
+      if (width <= 0 || height <= 0) return undefined;
+      let rx = a.rx !== undefined ? num(a.rx) : num(a.ry);
+      let ry = a.ry !== undefined ? num(a.ry) : rx;
+      rx = Math.min(rx, width / 2);
+      ry = Math.min(ry, height / 2);
+      if (rx <= 0 || ry <= 0) {
+        return `M${formatNumber(x)},${formatNumber(y)}h${formatNumber(width)}v${formatNumber(height)}h${formatNumber(-width)}z`;
+      }
+      const n = formatNumber;
+      return `M${n(x + rx)},${n(y)}h${n(width - 2 * rx)}a${n(rx)},${n(ry)} 0 0 1 ${n(rx)},${n(ry)}` +
+        `v${n(height - 2 * ry)}a${n(rx)},${n(ry)} 0 0 1 ${n(-rx)},${n(ry)}` +
+        `h${n(-(width - 2 * rx))}a${n(rx)},${n(ry)} 0 0 1 ${n(-rx)},${n(-ry)}` +
+        `v${n(-(height - 2 * ry))}a${n(rx)},${n(ry)} 0 0 1 ${n(rx)},${n(-ry)}z`;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = num(a.cx), cy = num(a.cy);
+      const rx = element.name === 'circle' ? num(a.r) : num(a.rx);
+      const ry = element.name === 'circle' ? num(a.r) : num(a.ry);
+      if (rx <= 0 || ry <= 0) return undefined;
+      const n = formatNumber;
+      return `M${n(cx - rx)},${n(cy)}a${n(rx)},${n(ry)} 0 1 0 ${n(2 * rx)},0a${n(rx)},${n(ry)} 0 1 0 ${n(-2 * rx)},0z`;
+    }
+    case 'line':
+      return `M${formatNumber(num(a.x1))},${formatNumber(num(a.y1))}L${formatNumber(num(a.x2))},${formatNumber(num(a.y2))}`;
+    case 'polygon':
+    case 'polyline': {
+      const points = (a.points || '').trim().split(/[\s,]+/).map(parseFloat).filter(Number.isFinite);
+      if (points.length < 4) return undefined;
+      const pairs = [];
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        pairs.push(`${formatNumber(points[i])},${formatNumber(points[i + 1])}`);
+      }
+      return `M${pairs.join('L')}${element.name === 'polygon' ? 'z' : ''}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an SVG transform list into VectorDrawable group attributes
+ * VectorDrawable groups apply scale, then rotation, then translation,
+ * so matrices are decomposed into that form (skews can't be expressed).
+ */
+function parseTransform(transform, converter) {
+  if (!transform) return [];
+
+  const groups = [];
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(transform)) !== null) {
+    const [, type, argumentText] = match;
+    const args = argumentText.trim().split(/[\s,]+/).map(parseFloat);
+
+    if (type === 'translate') {
+      groups.push({ translateX: args[0] || 0, translateY: args[1] || 0 });
+    } else if (type === 'scale') {
+      groups.push({ scaleX: args[0], scaleY: args[1] ?? args[0] });
+    } else if (type === 'rotate') {
+      groups.push({ rotation: args[0], pivotX: args[1] || 0, pivotY: args[2] || 0 });
+    } else if (type === 'matrix') {
+      const [a, b, c, d, e, f] = args;
+      const scaleX = Math.hypot(a, b);
+      if (scaleX === 0 || Math.abs(a * c + b * d) > 1e-6 * Math.max(1, scaleX * Math.hypot(c, d))) {
+        converter.reasons.add('skewed transform');
+        continue;
+      }
+      const rotation = Math.atan2(b, a) * 180 / Math.PI;
+      groups.push({
+        translateX: e,
+        translateY: f,
+        ...(formatNumber(rotation) !== '0' && { rotation }),
+        scaleX,
+        scaleY: (a * d - b * c) / scaleX
+      });
+    } else {
+      converter.reasons.add('skewed transform');
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Parse SVG text into a tree of { name, attributes, children }
+ *
+ * This is a small tolerant parser for the subset of SVG produced by design
+ * tools. It returns the root <svg> element, or null if there isn't one.
+ */
+export function parseSvg(svgText) {
+  return parseXml(svgText).children.find(child => child.name === 'svg') || null;
+}
+
+/**
+ * Parse XML text into a #document node with a tree of { name, attributes, children, text }
+ *
+ * Namespace prefixes are kept in names (e.g., android:pathData, aapt:attr).
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined || text !== undefined) {
+      current.text += cdata ?? text;
+    } else if (!name) {
+      continue; // Comment, processing instruction, or doctype
+    } else if (closing) {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const element = { name, attributes: parseAttributes(attributeText), children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+function parseAttributes(attributeText) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(attributeText)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, decimal) => String.fromCharCode(parseInt(decimal, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Collect simple `.class { ... }` rules from <style> elements
+ */
+function parseClassRules(root) {
+  const rules = {};
+  const visit = (element) => {
+    if (element.name === 'style') {
+      const css = element.text.replace(/\/\*[\s\S]*?\*\//g, '');
+      const pattern = /([^{}]+)\{([^}]*)\}/g;
+      let match;
+      while ((match = pattern.exec(css)) !== null) {
+        const declarations = parseDeclarations(match[2]);
+        for (const selector of match[1].split(',').map(s => s.trim())) {
+          const classMatch = selector.match(/^\.([\w-]+)$/);
+          if (classMatch) {
+            rules[classMatch[1]] = { ...rules[classMatch[1]], ...declarations };
+          }
+        }
+      }
+    }
+    element.children.forEach(visit);
+  };
+  visit(root);
+  return rules;
+}
+
+function parseDeclarations(text) {
+  const declarations = {};
+  for (const declaration of text.split(';')) {
+    const index = declaration.indexOf(':');
+    if (index > 0) {
+      declarations[declaration.slice(0, index).trim()] = declaration.slice(index + 1).trim();
+    }
+  }
+  return declarations;
+}
+
+function parseSvgColor(value) {
+  const color = NAMED_COLORS[value.toLowerCase()] || value;
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  const rgb = color.match(/^rgba?\(([^)]*)\)$/i);
+  if (rgb) {
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    const channel = (part) => part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part);
+    return {
+      r: channel(parts[0]),
+      g: channel(parts[1]),
+      b: channel(parts[2]),
+      a: parts[3] === undefined ? 1 : parseOpacity(parts[3])
+    };
+  }
+
+  return null;
+}
+
+function parseOpacity(value) {
+  if (value === undefined || value === '') return 1;
+  const opacity = String(value).endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+  return Number.isFinite(opacity) ? Math.max(0, Math.min(1, opacity)) : 1;
+}
+
+function parseLength(value) {
+  return value === undefined ? undefined : parseFloat(value);
+}
+
+/**
+ * Describe the Liquid Glass effects enabled on a group, which vectors can't reproduce
+ */
+function describeGlassEffects(group, context) {
+  const effects = [];
+  if (getSpecializedValue(group, 'specular', context)) effects.push('specular highlights');
+  const shadow = getSpecializedValue(group, 'shadow', context);
+  if (shadow && shadow.kind !== 'none' && shadow.opacity > 0) effects.push('shadow');
+  const translucency = getSpecializedValue(group, 'translucency', context);
+  if (translucency?.enabled && translucency.value > 0) effects.push('translucency');
+  const blur = getSpecializedValue(group, 'blur-material', context);
+  if (blur !== null && blur !== undefined && blur > 0) effects.push('blur');
+  return effects;
+}
+
+function sanitizeComment(text) {
+  return String(text).replace(/--/g, '- -');
+}
+
+function formatNumber(value) {
+  const rounded = Math.round(value * 10000) / 10000;
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
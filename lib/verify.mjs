@@ -0,0 +1,374 @@
+/**
+ * Check that converted Android resources still look like the Apple icon
+ *
+ * The adaptive icon is put back together from the res directory (see
+ * lib/drawable-renderer.mjs): the foreground over the background, and the
+ * monochrome layer over the ClearLight canvas fill. Launchers tint the
+ * monochrome layer with their own colors, so the fill stands in for the tint,
+ * leaving only the layer's content to compare. The square of each layer
+ * where the Apple canvas goes (its placement, by default the 66dp safe area;
+ * see lib/scaling.mjs) is compared with a render of the icon (the Default
+ * rendition, and ClearLight for the monochrome layer) over the pixels that
+ * render covers inside the layer:
+ * - PSNR: peak signal-to-noise ratio of the RGB channels, in dB (Infinity when identical)
+ * - SSIM: structural similarity of the luminance, averaged over 7 x 7 windows (1 when identical)
+ * A render with no opaque pixels leaves nothing to compare, and is an error.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import sharp from 'sharp';
+
+import { DEFAULT_RENDITIONS, resolveRenderer } from './convert.mjs';
+import { renderDrawable, findResourceFile } from './drawable-renderer.mjs';
+import { readAdaptiveIcon } from './preview.mjs';
+import { DEFAULT_RESOURCE_NAMES } from './android-resources.mjs';
+import { parseScaling, resolvePlacement } from './scaling.mjs';
+import { extractForeground } from './image-processor.mjs';
+
+/**
+ * Scores below which a comparison fails
+ */
+export const VERIFY_DEFAULTS = {
+  minPsnr: 25, // dB
+  minSsim: 0.8
+};
+
+const LAYER_SIZE_DP = 108;
+
+// Renders are compared at this size (the placement square)
+const COMPARE_SIZE = 512;
+
+const SSIM_WINDOW = 7;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Differences saturate the heatmap of the diff image at this many levels
+const DIFF_SCALE = 64;
+const DIFF_TILE_SIZE = 256;
+
+/**
+ * Compare the adaptive icon in a res directory with renders of the Apple icon
+ *
+ * @param {string} iconFolder - Path to the .icon folder
+ * @param {string} resDir - Resource directory containing mipmap-anydpi-v26/<iconName>.xml
+ * @param {Object|string} renderer - Renderer backend or its name (default: as for convertIcon())
+ * @param {string} prerenderedDir - Directory of PNGs exported from Icon Composer (for the prerendered renderer)
+ * @param {string[]|Object} disableEffects - Liquid Glass effects to turn off, as for convertIcon()
+ * @param {string|Object} foregroundScaling - How the conversion scaled the canvas into the foreground layer,
+ *   as for convertIcon() (default: 'safe-zone'); trim is measured on a foreground extracted from the renders
+ * @param {string|Object} monochromeScaling - The same for the monochrome layer
+ * @param {string} platform - Platform to render for (default: 'iOS')
+ * @param {Object} renditions - Renditions to render, overriding DEFAULT_RENDITIONS (light and monochrome are used)
+ * @param {string} iconName - Adaptive icon resource name (default: ic_launcher)
+ * @param {string} diffPath - Write a PNG of the Apple render, the Android icon and their difference, side by side
+ * @param {Object} thresholds - { minPsnr, minSsim }, overriding VERIFY_DEFAULTS
+ * @param {Object} logger - Receives progress messages through logger.log() (e.g., console)
+ * @returns {Promise<Object>} { passed, thresholds, comparisons, diffPath }: comparisons holds
+ *   { psnr, ssim, passed } for `icon` and `monochrome` (null without a monochrome layer)
+ */
+export async function verifyIcon(iconFolder, resDir, {
+  renderer = null,
+  prerenderedDir = null,
+  disableEffects = null,
+  foregroundScaling = 'safe-zone',
+  monochromeScaling = 'safe-zone',
+  platform = 'iOS',
+  renditions: renditionOverrides = {},
+  iconName = DEFAULT_RESOURCE_NAMES.icon,
+  diffPath = null,
+  thresholds: thresholdOverrides = {},
+  logger = null
+} = {}) {
+  const log = (message) => logger?.log(message);
+  const thresholds = { ...VERIFY_DEFAULTS, ...thresholdOverrides };
+  for (const [name, value] of Object.entries(thresholds)) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new Error(`Invalid ${name} threshold: ${value}`);
+    }
+  }
+  parseScaling(foregroundScaling);
+  parseScaling(monochromeScaling);
+  const renditions = { ...DEFAULT_RENDITIONS, ...renditionOverrides };
+  const layers = await readAdaptiveIcon(resDir, iconName);
+  renderer = await resolveRenderer(renderer, { prerenderedDir, disableEffects }, log);
+
+  const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'icon-verify-'));
+  try {
+    const exportOptions = (rendition) => ({ width: COMPARE_SIZE, height: COMPARE_SIZE, platform, rendition });
+    const renders = new Map();
+    const renderPath = (rendition, kind = 'full') => {
+      const outputPath = path.join(tempDir, `${rendition}-${kind}.png`);
+      if (!renders.has(outputPath)) {
+        const exported = kind === 'background'
+          ? renderer.exportBackground(iconFolder, outputPath, exportOptions(rendition))
+          : renderer.exportFull(iconFolder, outputPath, exportOptions(rendition));
+        renders.set(outputPath, exported.then(() => outputPath));
+      }
+      return renders.get(outputPath);
+    };
+    const readRender = async (rendition, kind = 'full') =>
+      readPixels(sharp(await renderPath(rendition, kind)).resize(COMPARE_SIZE, COMPARE_SIZE, { fit: 'fill' }));
+    // Trim needs the layer content, extracted from the renders as the conversion does
+    const placeLayer = async (scaling, rendition) => {
+      if (parseScaling(scaling) !== 'trim') {
+        return resolvePlacement(scaling);
+      }
+      const foregroundPath = path.join(tempDir, `${rendition}-foreground.png`);
+      await extractForeground(await renderPath(rendition), await renderPath(rendition, 'background'), foregroundPath);
+      return resolvePlacement(scaling, foregroundPath);
+    };
+
+    log(`Verifying ${resDir} against ${iconFolder} (renderer: ${renderer.name})`);
+    const comparisons = {};
+    const rows = [];
+
+    const placement = await placeLayer(foregroundScaling, renditions.light);
+    const icon = await readPlacedArea(await renderDrawable(path.join(resDir, 'mipmap-anydpi-v26', `${iconName}.xml`), layerSize(placement)), placement);
+    const reference = maskOutside(await readRender(renditions.light), icon.inside);
+    comparisons.icon = scoreComparison(reference, icon.pixels, thresholds, renditions.light);
+    rows.push({ label: 'Icon', reference, android: icon.pixels, comparison: comparisons.icon });
+
+    comparisons.monochrome = null;
+    if (layers.monochrome) {
+      const monochromePlacement = await placeLayer(monochromeScaling, renditions.monochrome);
+      const { file } = await findResourceFile(resDir, layers.monochrome);
+      const layer = await readPlacedArea(await renderDrawable(file, layerSize(monochromePlacement), { resDir }), monochromePlacement);
+      const monochromeReference = maskOutside(await readRender(renditions.monochrome), layer.inside);
+      const monochrome = compositeOver(layer.pixels, await readRender(renditions.monochrome, 'background'));
+      comparisons.monochrome = scoreComparison(monochromeReference, monochrome, thresholds, renditions.monochrome);
+      rows.push({ label: 'Monochrome', reference: monochromeReference, android: monochrome, comparison: comparisons.monochrome });
+    }
+
+    for (const { label, comparison } of rows) {
+      log(`  ${comparison.passed ? '✓' : '✗'} ${label}: ${formatScores(comparison)}`);
+    }
+
+    if (diffPath) {
+      await fs.mkdir(path.dirname(path.resolve(diffPath)), { recursive: true });
+      await writeDiffImage(diffPath, rows);
+    }
+
+    return {
+      passed: rows.every(row => row.comparison.passed),
+      thresholds,
+      comparisons,
+      diffPath
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * PSNR and SSIM of a comparison, e.g. "PSNR 31.2 dB, SSIM 0.962"
+ */
+export function formatScores({ psnr, ssim }) {
+  return `PSNR ${Number.isFinite(psnr) ? `${psnr.toFixed(1)} dB` : '∞'}, SSIM ${ssim.toFixed(3)}`;
+}
+
+// Size of the 108dp layers when the placement square is COMPARE_SIZE
+function layerSize(placement) {
+  return Math.round(COMPARE_SIZE * LAYER_SIZE_DP / placement.size);
+}
+
+/**
+ * The placement square of a layer rendered at layerSize(placement)
+ *
+ * @returns {Promise<{pixels: Buffer, inside: Object}>} pixels are transparent where the square extends past
+ *   the layer; inside is { left, top, right, bottom }, the part of the square within the layer
+ */
+async function readPlacedArea(layerPng, placement) {
+  const size = layerSize(placement);
+  const left = Math.round(placement.x * COMPARE_SIZE / placement.size);
+  const top = Math.round(placement.y * COMPARE_SIZE / placement.size);
+  const margin = Math.max(0, -left, -top, left + COMPARE_SIZE - size, top + COMPARE_SIZE - size);
+  const padded = margin > 0
+    ? await sharp(layerPng).extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer()
+    : layerPng;
+  return {
+    pixels: await readPixels(sharp(padded).extract({ left: left + margin, top: top + margin, width: COMPARE_SIZE, height: COMPARE_SIZE })),
+    inside: {
+      left: Math.max(0, -left),
+      top: Math.max(0, -top),
+      right: Math.min(COMPARE_SIZE, size - left),
+      bottom: Math.min(COMPARE_SIZE, size - top)
+    }
+  };
+}
+
+// A render with the pixels outside a region made transparent, so they aren't compared
+function maskOutside(pixels, { left, top, right, bottom }) {
+  const masked = Buffer.from(pixels);
+  for (let y = 0; y < COMPARE_SIZE; y++) {
+    for (let x = 0; x < COMPARE_SIZE; x++) {
+      if (x < left || x >= right || y < top || y >= bottom) masked[(y * COMPARE_SIZE + x) * 4 + 3] = 0;
+    }
+  }
+  return masked;
+}
+
+async function readPixels(image) {
+  return image.ensureAlpha().raw().toBuffer();
+}
+
+/**
+ * A layer over a background (RGBA pixels of the same size)
+ */
+function compositeOver(layer, background) {
+  const composite = Buffer.alloc(layer.length);
+  for (let i = 0; i < layer.length; i += 4) {
+    const coverage = layer[i + 3] / 255;
+    for (let channel = 0; channel < 3; channel++) {
+      composite[i + channel] = Math.round(coverage * layer[i + channel] + (1 - coverage) * background[i + channel]);
+    }
+    composite[i + 3] = background[i + 3];
+  }
+  return composite;
+}
+
+function scoreComparison(reference, android, { minPsnr, minSsim }, rendition) {
+  const psnr = peakSignalToNoise(reference, android);
+  const ssim = structuralSimilarity(reference, android);
+  if (psnr === null || ssim === null) {
+    throw new Error(`The ${rendition} render has no opaque pixels inside the layer to compare with`);
+  }
+  const scores = { psnr: round(psnr, 2), ssim: round(ssim, 4) };
+  return { ...scores, passed: scores.psnr >= minPsnr && scores.ssim >= minSsim };
+}
+
+/**
+ * PSNR of the RGB channels over the pixels the reference covers (null when it covers none)
+ */
+function peakSignalToNoise(reference, android) {
+  let squares = 0;
+  let count = 0;
+  for (let i = 0; i < reference.length; i += 4) {
+    if (reference[i + 3] < 255) continue;
+    for (let channel = 0; channel < 3; channel++) {
+      squares += (reference[i + channel] - android[i + channel]) ** 2;
+    }
+    count += 3;
+  }
+  if (count === 0) return null;
+  if (squares === 0) return Infinity;
+  return 10 * Math.log10(255 ** 2 / (squares / count));
+}
+
+/**
+ * Mean SSIM of the luminance over windows centered on pixels the reference covers (null when it covers none)
+ */
+function structuralSimilarity(reference, android) {
+  const size = COMPARE_SIZE;
+  const stride = size + 1;
+  // Summed-area tables of x, y, x², y² and xy
+  const tables = Array.from({ length: 5 }, () => new Float64Array(stride * stride));
+  for (let y = 0; y < size; y++) {
+    const rowSums = [0, 0, 0, 0, 0];
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      const a = luminance(reference, i);
+      const b = luminance(android, i);
+      const values = [a, b, a * a, b * b, a * b];
+      for (let table = 0; table < 5; table++) {
+        rowSums[table] += values[table];
+        tables[table][(y + 1) * stride + x + 1] = tables[table][y * stride + x + 1] + rowSums[table];
+      }
+    }
+  }
+
+  const radius = (SSIM_WINDOW - 1) / 2;
+  const area = SSIM_WINDOW * SSIM_WINDOW;
+  let total = 0;
+  let count = 0;
+  for (let y = radius; y < size - radius; y++) {
+    for (let x = radius; x < size - radius; x++) {
+      if (reference[(y * size + x) * 4 + 3] < 255) continue;
+      const [sumA, sumB, sumAA, sumBB, sumAB] = tables.map(table =>
+        table[(y + radius + 1) * stride + x + radius + 1] - table[(y - radius) * stride + x + radius + 1] -
+        table[(y + radius + 1) * stride + x - radius] + table[(y - radius) * stride + x - radius]);
+      const meanA = sumA / area, meanB = sumB / area;
+      const varianceA = sumAA / area - meanA * meanA;
+      const varianceB = sumBB / area - meanB * meanB;
+      const covariance = sumAB / area - meanA * meanB;
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+      count++;
+    }
+  }
+  return count > 0 ? total / count : null;
+}
+
+function luminance(pixels, i) {
+  return 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+}
+
+/**
+ * A row per comparison: the Apple render, the Android icon and their difference
+ * (black is identical; red to yellow, saturating at DIFF_SCALE levels; gray isn't compared)
+ */
+async function writeDiffImage(outputPath, rows) {
+  const gap = 16;
+  const labelHeight = 24;
+  const rowLabelWidth = 200;
+  const columns = ['Apple', 'Android', 'Difference'];
+  const width = rowLabelWidth + columns.length * (DIFF_TILE_SIZE + gap) + gap;
+  const height = labelHeight + rows.length * (DIFF_TILE_SIZE + gap) + gap;
+  const tileLeft = (column) => rowLabelWidth + gap + column * (DIFF_TILE_SIZE + gap);
+  const tileTop = (row) => labelHeight + gap + row * (DIFF_TILE_SIZE + gap);
+
+  const labels = [
+    ...columns.map((column, index) =>
+      `<text x="${tileLeft(index) + DIFF_TILE_SIZE / 2}" y="${labelHeight}" text-anchor="middle">${column}</text>`),
+    ...rows.map(({ label, comparison }, index) =>
+      `<text x="${gap}" y="${tileTop(index) + DIFF_TILE_SIZE / 2}">${label} ${comparison.passed ? '✓' : '✗'}` +
+      `<tspan x="${gap}" dy="18">${formatScores(comparison)}</tspan></text>`)
+  ];
+  const overlays = [{
+    input: Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="13" fill="#333">${labels.join('')}</svg>`
+    ),
+    left: 0,
+    top: 0
+  }];
+
+  const tile = (pixels) => sharp(pixels, { raw: { width: COMPARE_SIZE, height: COMPARE_SIZE, channels: 4 } })
+    .resize(DIFF_TILE_SIZE, DIFF_TILE_SIZE)
+    .png()
+    .toBuffer();
+  for (const [index, { reference, android }] of rows.entries()) {
+    const images = [reference, android, differenceHeatmap(reference, android)];
+    for (const [column, pixels] of images.entries()) {
+      overlays.push({ input: await tile(pixels), left: tileLeft(column), top: tileTop(index) });
+    }
+  }
+
+  await sharp({ create: { width, height, channels: 4, background: '#eeeeee' } })
+    .composite(overlays)
+    .png()
+    .toFile(outputPath);
+}
+
+function differenceHeatmap(reference, android) {
+  const heatmap = Buffer.alloc(reference.length);
+  for (let i = 0; i < reference.length; i += 4) {
+    heatmap[i + 3] = 255;
+    if (reference[i + 3] < 255) {
+      heatmap.fill(128, i, i + 3);
+      continue;
+    }
+    let difference = 0;
+    for (let channel = 0; channel < 3; channel++) {
+      difference = Math.max(difference, Math.abs(reference[i + channel] - android[i + channel]));
+    }
+    const heat = Math.min(1, difference / DIFF_SCALE);
+    heatmap[i] = Math.round(255 * Math.min(1, heat * 2));
+    heatmap[i + 1] = Math.round(255 * Math.max(0, heat * 2 - 1));
+  }
+  return heatmap;
+}
+
+function round(value, digits) {
+  return Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : value;
+}
@@ -0,0 +1,128 @@
+/**
+ * Reconvert an icon whenever its icon.json or Assets change
+ */
+
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+import { createHash } from 'crypto';
+
+import { convertIcon } from './convert.mjs';
+
+export const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Convert an icon, then watch it and convert it again after every change
+ *
+ * Changes are debounced, and a change made during a conversion starts another
+ * one when it finishes. Intermediate renders are kept between runs: when only
+ * files in Assets/ changed, the background renders are reused, since they
+ * don't depend on the assets. After each run, the outputs whose contents
+ * changed are logged.
+ *
+ * @param {string} iconFolder - Path to the .icon folder
+ * @param {string} outputDir - Output directory
+ * @param {number} debounceMs - Quiet time after a change before converting (default: 300)
+ * @param {Object} logger - Receives progress messages through logger.log() (e.g., console)
+ * @param {Object} convertOptions - Passed on to convertIcon() for every run
+ * @returns {Promise<{close: () => Promise<void>, idle: () => Promise<void>}>} Resolves after the first
+ *   conversion; close() stops watching, idle() waits for the current conversion to finish
+ */
+export async function watchIcon(iconFolder, outputDir, {
+  debounceMs = DEFAULT_DEBOUNCE_MS,
+  logger = null,
+  ...convertOptions
+} = {}) {
+  const log = (message) => logger?.log(message);
+  const workDir = await fs.mkdtemp(path.join(tmpdir(), 'icon-watch-'));
+  let outputHashes = new Map();
+  let pending = null; // Set of changed parts ('icon.json', 'Assets') waiting for a run
+  let running = Promise.resolve();
+  let timer = null;
+
+  async function run(changes) {
+    const onlyAssets = changes && !changes.has('icon.json');
+    const started = Date.now();
+    if (changes) {
+      log(`[${timestamp()}] ${[...changes].join(' and ')} changed, converting${onlyAssets ? ' (reusing backgrounds)' : ''}...`);
+    } else {
+      log(`[${timestamp()}] Converting ${path.basename(iconFolder)}...`);
+    }
+
+    try {
+      const manifest = await convertIcon(iconFolder, outputDir, {
+        ...convertOptions,
+        workDir,
+        reuseBackgrounds: onlyAssets
+      });
+
+      const hashes = await hashFiles(manifest.files);
+      const rewritten = manifest.files.filter(file => hashes.get(file) !== outputHashes.get(file));
+      outputHashes = hashes;
+
+      if (!changes) {
+        log(`  Wrote ${manifest.files.length} outputs`);
+      } else if (rewritten.length === 0) {
+        log('  No outputs changed');
+      } else {
+        log(`  ${rewritten.length} output(s) changed:`);
+        for (const file of rewritten) {
+          log(`    ${path.relative(outputDir, file)}`);
+        }
+      }
+      log(`  Done in ${((Date.now() - started) / 1000).toFixed(1)}s, watching for changes...\n`);
+    } catch (error) {
+      log(`  ✗ ${error.message}\n  Watching for changes...\n`);
+    }
+  }
+
+  function schedule(part) {
+    pending ??= new Set();
+    pending.add(part);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running.then(() => {
+        const changes = pending;
+        pending = null;
+        return changes ? run(changes) : undefined;
+      });
+    }, debounceMs);
+  }
+
+  await run(null);
+
+  // Watch the whole bundle, since editors often replace files (and Assets/) instead of writing to them
+  const watcher = watch(iconFolder, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const [first] = filename.split(path.sep);
+    if (first === 'icon.json') {
+      schedule('icon.json');
+    } else if (first === 'Assets') {
+      schedule('Assets');
+    }
+  });
+
+  return {
+    async close() {
+      watcher.close();
+      clearTimeout(timer);
+      pending = null;
+      await running;
+      await fs.rm(workDir, { recursive: true, force: true });
+    },
+    idle: () => running
+  };
+}
+
+async function hashFiles(files) {
+  const hashes = new Map();
+  for (const file of files) {
+    hashes.set(file, createHash('sha1').update(await fs.readFile(file)).digest('hex'));
+  }
+  return hashes;
+}
+
+function timestamp() {
+  return new Date().toLocaleTimeString();
+}
@@ -0,0 +1,138 @@
+/**
+ * Golden-image tests of the generated drawables, rendered with renderDrawable()
+ *
+ * Each case writes resources with the XML generators into a temporary res
+ * directory, renders a drawable and compares it with test/golden/<name>.png.
+ * Rasterizers differ slightly in antialiasing, so renders match when they're
+ * within GOLDEN_TOLERANCE. After an intended change, rewrite the images with
+ * UPDATE_GOLDEN=1 npm test, and check them before committing.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+import { renderDrawable } from '../lib/drawable-renderer.mjs';
+import { generateGradientDrawableXml, createVectorLayerResources } from '../lib/android-resources.mjs';
+import { convertLayersToVectorDrawables } from '../lib/vector-drawable.mjs';
+import { readIconJson } from '../lib/icon-utils.mjs';
+
+const GOLDEN_DIR = fileURLToPath(new URL('./golden/', import.meta.url));
+const EXAMPLES_DIR = fileURLToPath(new URL('../example-icon-composer-icons/', import.meta.url));
+
+// Renders are 1px per dp
+const RENDER_SIZE = 108;
+
+// Largest channel difference (0-255) of any pixel, and the mean over all channels
+const GOLDEN_TOLERANCE = { max: 16, mean: 0.5 };
+
+/**
+ * Render a drawable and compare it with its golden image
+ */
+async function assertMatchesGolden(name, drawablePath, options = {}) {
+  const png = await renderDrawable(drawablePath, RENDER_SIZE, options);
+  const goldenPath = path.join(GOLDEN_DIR, `${name}.png`);
+
+  if (process.env.UPDATE_GOLDEN) {
+    await fs.mkdir(GOLDEN_DIR, { recursive: true });
+    await fs.writeFile(goldenPath, png);
+    return;
+  }
+
+  const [actual, expected] = await Promise.all([png, goldenPath].map(input => sharp(input).ensureAlpha().raw().toBuffer()));
+  assert.equal(actual.length, expected.length, `${name}: size differs from the golden image`);
+
+  let max = 0, sum = 0;
+  for (let i = 0; i < actual.length; i++) {
+    const difference = Math.abs(actual[i] - expected[i]);
+    max = Math.max(max, difference);
+    sum += difference;
+  }
+  const mean = sum / actual.length;
+  assert.ok(max <= GOLDEN_TOLERANCE.max && mean <= GOLDEN_TOLERANCE.mean,
+    `${name}: differs from the golden image (max ${max}, mean ${mean.toFixed(3)})`);
+}
+
+/**
+ * Run a test in a temporary res directory
+ */
+function testInResDir(name, fn) {
+  test(name, async () => {
+    const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'drawable-test-'));
+    try {
+      const resDir = path.join(tempDir, 'res');
+      await fs.mkdir(path.join(resDir, 'drawable'), { recursive: true });
+      await fn(resDir);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+}
+
+async function readPixel(png, x, y) {
+  const { data, info } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * 4;
+  return [...data.subarray(i, i + 4)];
+}
+
+testInResDir('gradient background, default orientation', async (resDir) => {
+  const drawablePath = path.join(resDir, 'drawable', 'background.xml');
+  await generateGradientDrawableXml(drawablePath, '#ff3366', '#1a237e');
+  await assertMatchesGolden('gradient-default', drawablePath);
+});
+
+testInResDir('solid background with alpha', async (resDir) => {
+  const drawablePath = path.join(resDir, 'drawable', 'background.xml');
+  await generateGradientDrawableXml(drawablePath, '#80336699', '#80336699');
+  await assertMatchesGolden('solid-alpha', drawablePath);
+
+  // Within rounding of the premultiplied render
+  const pixel = await readPixel(await renderDrawable(drawablePath, RENDER_SIZE), 54, 54);
+  [0x33, 0x66, 0x99, 0x80].forEach((expected, channel) =>
+    assert.ok(Math.abs(pixel[channel] - expected) <= 3, `expected #80336699, got ${pixel}`));
+});
+
+testInResDir('diagonal gradient background, full-bleed placement', async (resDir) => {
+  const drawablePath = path.join(resDir, 'drawable', 'background.xml');
+  await generateGradientDrawableXml(drawablePath, '#ffeb3b', '#004d40',
+    { start: { x: 0, y: 0 }, stop: { x: 1, y: 1 } }, { x: 0, y: 0, size: 108 });
+  await assertMatchesGolden('gradient-diagonal-full-bleed', drawablePath);
+});
+
+testInResDir('vector foreground from SVG layers', async (resDir) => {
+  const iconFolder = path.join(EXAMPLES_DIR, 'Horizon.icon');
+  const conversion = await convertLayersToVectorDrawables(iconFolder, await readIconJson(iconFolder));
+  const { drawablePath } = await createVectorLayerResources(path.dirname(resDir), iconFolder, conversion, 'foreground', { resDir });
+  await assertMatchesGolden('vector-horizon', drawablePath);
+});
+
+testInResDir('vector foreground, scaled and moved', async (resDir) => {
+  const iconFolder = path.join(EXAMPLES_DIR, 'Horizon.icon');
+  const placement = { x: 10, y: 5, size: 80 };
+  const conversion = await convertLayersToVectorDrawables(iconFolder, await readIconJson(iconFolder), { placement });
+  const { drawablePath } = await createVectorLayerResources(path.dirname(resDir), iconFolder, conversion, 'foreground', { resDir, placement });
+  await assertMatchesGolden('vector-horizon-placed', drawablePath);
+});
+
+// centerY is ignored by linear gradients, even when centerX is left at its default
+testInResDir('linear shape gradient puts the center color at centerX', async (resDir) => {
+  const drawablePath = path.join(resDir, 'drawable', 'shape.xml');
+  await fs.writeFile(drawablePath, `<?xml version="1.0" encoding="utf-8"?>
+<shape xmlns:android="http://schemas.android.com/apk/res/android">
+    <gradient
+        android:startColor="#000000"
+        android:centerColor="#ffffff"
+        android:endColor="#000000"
+        android:centerY="0.2" />
+</shape>
+`);
+  const png = await renderDrawable(drawablePath, RENDER_SIZE);
+  const [centerR] = await readPixel(png, 54, 54);
+  const [quarterR] = await readPixel(png, 22, 54);
+  assert.ok(centerR >= 250, `expected white at centerX, got ${centerR}`);
+  assert.ok(quarterR < 160, `expected the center color at 50%, not at 20% (got ${quarterR} at 20%)`);
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests of verifyIcon() on conversions with a non-default placement
+ *
+ * The example icon is converted with the JavaScript renderer into a temporary
+ * directory, then verified with and without the scaling it was converted with.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+import { convertIcon } from '../lib/convert.mjs';
+import { verifyIcon } from '../lib/verify.mjs';
+
+const ICON_FOLDER = fileURLToPath(new URL('../example-icon-composer-icons/Horizon.icon', import.meta.url));
+
+/**
+ * Convert the example icon with the given scalings, and verify the result
+ */
+async function convertAndVerify(scalings, verifyScalings = scalings) {
+  const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'verify-test-'));
+  try {
+    const { resDir } = await convertIcon(ICON_FOLDER, tempDir, {
+      renderer: 'js',
+      night: false,
+      densities: ['xxxhdpi'],
+      ...scalings
+    });
+    return await verifyIcon(ICON_FOLDER, resDir, { renderer: 'js', ...verifyScalings });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+test('full-bleed and explicit scalings pass when verified with them', async () => {
+  const scalings = { foregroundScaling: 'full-bleed', monochromeScaling: { scale: 1.2, offsetX: 3, offsetY: -4 } };
+  const result = await convertAndVerify(scalings);
+  assert.ok(result.passed, `expected a pass, got ${JSON.stringify(result.comparisons)}`);
+
+  // Compared as if in the safe area, the same conversion is off
+  const misplaced = await convertAndVerify(scalings, {});
+  assert.equal(misplaced.comparisons.icon.passed, false);
+  assert.equal(misplaced.comparisons.monochrome.passed, false);
+});
+
+test('trim scaling passes when verified with it', async () => {
+  const result = await convertAndVerify({ foregroundScaling: 'trim', monochromeScaling: 'trim' });
+  assert.ok(result.passed, `expected a pass, got ${JSON.stringify(result.comparisons)}`);
+});
+
+test('a canvas scaled past the layer is compared where it is inside the layer', async () => {
+  const result = await convertAndVerify({ foregroundScaling: '2,10,0' });
+  assert.ok(result.passed, `expected a pass, got ${JSON.stringify(result.comparisons)}`);
+});